@@ -0,0 +1,65 @@
+'use strict';
+
+const { pool } = require('../src/db/pool');
+const ApiKeyRepository = require('../src/repositories/ApiKeyRepository');
+const { ROLE_PERMISSIONS } = require('../src/middleware/auth');
+
+const USAGE = `
+Usage:
+  npm run api-key -- create --name <name> --role <role> --subject <subject>
+  npm run api-key -- revoke --name <name>
+
+Roles: ${Object.keys(ROLE_PERMISSIONS).join(', ')}
+`;
+
+function readFlag(args, flag) {
+    const index = args.indexOf(`--${flag}`);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const apiKeyRepo = new ApiKeyRepository(pool);
+
+    try {
+        if (command === 'create') {
+            const name = readFlag(args, 'name');
+            const role = readFlag(args, 'role');
+            const subject = readFlag(args, 'subject');
+
+            if (!name || !subject || !ROLE_PERMISSIONS[role]) {
+                console.error(USAGE);
+                process.exit(1);
+            }
+
+            const created = await apiKeyRepo.create({ name, role, subject });
+
+            console.log('API key created — store it now, it cannot be shown again:');
+            console.log('─'.repeat(50));
+            console.log(`Name    : ${created.name}`);
+            console.log(`Role    : ${created.role}`);
+            console.log(`Subject : ${created.subject}`);
+            console.log(`Key     : ${created.key}`);
+            console.log('─'.repeat(50));
+        } else if (command === 'revoke') {
+            const name = readFlag(args, 'name');
+            if (!name) {
+                console.error(USAGE);
+                process.exit(1);
+            }
+
+            const revoked = await apiKeyRepo.revoke(name);
+            console.log(revoked ? `API key revoked: ${name}` : `No active API key named: ${name}`);
+        } else {
+            console.error(USAGE);
+            process.exit(1);
+        }
+    } catch (err) {
+        console.error('API key command failed:', err.message);
+        process.exit(1);
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,43 @@
+'use strict';
+
+// Minimal local receiver for testing webhook subscriptions. Verifies the
+// X-Dino-Signature header against WEBHOOK_SECRET and prints each event.
+
+const http = require('http');
+const { verify } = require('../src/utils/webhookSignature');
+
+const PORT = parseInt(process.env.PORT || '4000', 10);
+const SECRET = process.env.WEBHOOK_SECRET;
+
+if (!SECRET) {
+    console.error('Set WEBHOOK_SECRET to the secret returned when the subscription was created');
+    process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+
+        if (!verify(SECRET, req.headers['x-dino-signature'], body)) {
+            console.warn(`rejected delivery ${req.headers['x-dino-delivery']}: bad signature`);
+            res.writeHead(401).end();
+            return;
+        }
+
+        const event = JSON.parse(body);
+        console.log(`${event.type} (${req.headers['x-dino-delivery']})`);
+        console.log(JSON.stringify(event.data, null, 2));
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});
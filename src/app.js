@@ -3,19 +3,68 @@
 const express = require('express');
 const { pool } = require('./db/pool');
 const walletRoutes = require('./handlers/walletRoutes');
+const assetRoutes = require('./handlers/assetRoutes');
+const adminRoutes = require('./handlers/adminRoutes');
+const webhookRoutes = require('./handlers/webhookRoutes');
+const bonusJobRoutes = require('./handlers/bonusJobRoutes');
+const scheduleRoutes = require('./handlers/scheduleRoutes');
+const spendingLimitRoutes = require('./handlers/spendingLimitRoutes');
+const exchangeRateRoutes = require('./handlers/exchangeRateRoutes');
+const feeRoutes = require('./handlers/feeRoutes');
+const creditLineRoutes = require('./handlers/creditLineRoutes');
 const healthRoutes = require('./handlers/healthRoutes');
 const { errorHandler } = require('./middleware/errorHandler');
 const { requestLogger } = require('./middleware/requestLogger');
+const { authenticate } = require('./middleware/auth');
+const WebhookWorker = require('./workers/WebhookWorker');
+const WebhookRepository = require('./repositories/WebhookRepository');
+const WalletEventHub = require('./services/WalletEventHub');
+const WalletService = require('./services/WalletService');
+const BonusJobWorker = require('./workers/BonusJobWorker');
+const BonusJobRepository = require('./repositories/BonusJobRepository');
+const ScheduleWorker = require('./workers/ScheduleWorker');
+const ScheduleRepository = require('./repositories/ScheduleRepository');
+const CreditExpiryWorker = require('./workers/CreditExpiryWorker');
+const WalletRepository = require('./repositories/WalletRepository');
+const LedgerRepository = require('./repositories/LedgerRepository');
+const TransactionRepository = require('./repositories/TransactionRepository');
+const AssetRepository = require('./repositories/AssetRepository');
+const IdempotencyRepository = require('./repositories/IdempotencyRepository');
+const OutboxRepository = require('./repositories/OutboxRepository');
+const HoldRepository = require('./repositories/HoldRepository');
+const CreditLotRepository = require('./repositories/CreditLotRepository');
+const SpendingLimitRepository = require('./repositories/SpendingLimitRepository');
+const ExchangeRateRepository = require('./repositories/ExchangeRateRepository');
+const ExchangeQuoteRepository = require('./repositories/ExchangeQuoteRepository');
+const FeeRepository = require('./repositories/FeeRepository');
+const CreditLineRepository = require('./repositories/CreditLineRepository');
 const config = require('./config');
 
 const app = express();
 
+const walletEventHub = new WalletEventHub(pool);
 
+
+// Bulk bonus uploads can carry tens of thousands of rows; parsed here, ahead of
+// the default 100kb JSON parser, which then leaves the body alone.
+app.use('/api/v1/bonus-jobs',
+    express.json({ limit: '10mb' }),
+    express.text({ type: 'text/csv', limit: '10mb' }));
 app.use(express.json());
 app.use(requestLogger);
 
 app.use('/health', healthRoutes(pool));
-app.use('/api/v1', walletRoutes(pool));
+app.use('/api/v1', authenticate(pool));
+app.use('/api/v1/admin', adminRoutes(pool));
+app.use('/api/v1', assetRoutes(pool));
+app.use('/api/v1', webhookRoutes(pool));
+app.use('/api/v1', bonusJobRoutes(pool));
+app.use('/api/v1', scheduleRoutes(pool));
+app.use('/api/v1', spendingLimitRoutes(pool));
+app.use('/api/v1', exchangeRateRoutes(pool));
+app.use('/api/v1', feeRoutes(pool));
+app.use('/api/v1', creditLineRoutes(pool));
+app.use('/api/v1', walletRoutes(pool, { eventHub: walletEventHub }));
 
 app.use((req, res) => {
     res.status(404).json({
@@ -36,13 +85,76 @@ const server = app.listen(config.PORT, () => {
     console.log('');
 });
 
+
+const webhookWorker = new WebhookWorker({ webhookRepo: new WebhookRepository(pool) });
+
+if (config.WEBHOOK_WORKER_ENABLED) {
+    webhookWorker.start();
+}
+
+
+// Background workers move funds through the same WalletService as the API.
+const workerWalletService = new WalletService({
+    walletRepo: new WalletRepository(pool),
+    ledgerRepo: new LedgerRepository(pool),
+    txRepo: new TransactionRepository(pool),
+    assetRepo: new AssetRepository(pool),
+    idemRepo: new IdempotencyRepository(pool),
+    outboxRepo: new OutboxRepository(pool),
+    holdRepo: new HoldRepository(pool),
+    creditLotRepo: new CreditLotRepository(pool),
+    spendingLimitRepo: new SpendingLimitRepository(pool),
+    exchangeRateRepo: new ExchangeRateRepository(pool),
+    exchangeQuoteRepo: new ExchangeQuoteRepository(pool),
+    feeRepo: new FeeRepository(pool),
+    creditLineRepo: new CreditLineRepository(pool),
+    eventHub: walletEventHub,
+});
+
+
+const bonusJobWorker = new BonusJobWorker({
+    bonusJobRepo: new BonusJobRepository(pool),
+    walletService: workerWalletService,
+});
+
+if (config.BONUS_JOB_WORKER_ENABLED) {
+    bonusJobWorker.start();
+}
+
+
+const scheduleWorker = new ScheduleWorker({
+    scheduleRepo: new ScheduleRepository(pool),
+    walletService: workerWalletService,
+});
+
+if (config.SCHEDULE_WORKER_ENABLED) {
+    scheduleWorker.start();
+}
+
+
+const creditExpiryWorker = new CreditExpiryWorker({
+    creditLotRepo: new CreditLotRepository(pool),
+    walletService: workerWalletService,
+});
+
+if (config.CREDIT_EXPIRY_WORKER_ENABLED) {
+    creditExpiryWorker.start();
+}
+
 const shutdown = async (signal) => {
     console.log(`\n${signal} received — shutting down gracefully...`);
 
+    // Open event streams would otherwise keep server.close() waiting.
+    await walletEventHub.close();
+
     server.close(async () => {
         console.log('HTTP server closed');
 
         try {
+            await webhookWorker.stop();
+            await bonusJobWorker.stop();
+            await scheduleWorker.stop();
+            await creditExpiryWorker.stop();
             await pool.end();
             console.log('Database pool closed');
             console.log('Goodbye');
@@ -12,6 +12,33 @@ const config = {
     DB_POOL_IDLE_MS: parseInt(process.env.DB_IDLE_MS || '30000', 10),
 
     DB_STATEMENT_TIMEOUT_MS: parseInt(process.env.DB_STATEMENT_TIMEOUT_MS || '10000', 10),
+
+    AUTH_TOKEN_SECRET: process.env.AUTH_TOKEN_SECRET || null,
+    AUTH_TOKEN_ISSUER: process.env.AUTH_TOKEN_ISSUER || null,
+
+    WEBHOOK_WORKER_ENABLED: (process.env.WEBHOOK_WORKER_ENABLED || 'true') === 'true',
+    WEBHOOK_POLL_INTERVAL_MS: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '2000', 10),
+    WEBHOOK_BATCH_SIZE: parseInt(process.env.WEBHOOK_BATCH_SIZE || '20', 10),
+    WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10),
+    WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+    WEBHOOK_RETRY_BASE_MS: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '5000', 10),
+
+    BONUS_JOB_WORKER_ENABLED: (process.env.BONUS_JOB_WORKER_ENABLED || 'true') === 'true',
+    BONUS_JOB_POLL_INTERVAL_MS: parseInt(process.env.BONUS_JOB_POLL_INTERVAL_MS || '2000', 10),
+    BONUS_JOB_CHUNK_SIZE: parseInt(process.env.BONUS_JOB_CHUNK_SIZE || '500', 10),
+    BONUS_JOB_LEASE_MS: parseInt(process.env.BONUS_JOB_LEASE_MS || '60000', 10),
+    BONUS_JOB_MAX_ROWS: parseInt(process.env.BONUS_JOB_MAX_ROWS || '100000', 10),
+
+    SCHEDULE_WORKER_ENABLED: (process.env.SCHEDULE_WORKER_ENABLED || 'true') === 'true',
+    SCHEDULE_POLL_INTERVAL_MS: parseInt(process.env.SCHEDULE_POLL_INTERVAL_MS || '5000', 10),
+    SCHEDULE_BATCH_SIZE: parseInt(process.env.SCHEDULE_BATCH_SIZE || '50', 10),
+    SCHEDULE_LEASE_MS: parseInt(process.env.SCHEDULE_LEASE_MS || '60000', 10),
+
+    CREDIT_EXPIRY_WORKER_ENABLED: (process.env.CREDIT_EXPIRY_WORKER_ENABLED || 'true') === 'true',
+    CREDIT_EXPIRY_POLL_INTERVAL_MS: parseInt(process.env.CREDIT_EXPIRY_POLL_INTERVAL_MS || '60000', 10),
+    CREDIT_EXPIRY_BATCH_SIZE: parseInt(process.env.CREDIT_EXPIRY_BATCH_SIZE || '100', 10),
+
+    EXCHANGE_QUOTE_TTL_SECONDS: parseInt(process.env.EXCHANGE_QUOTE_TTL_SECONDS || '30', 10),
 };
 
 if (!config.DATABASE_URL) {
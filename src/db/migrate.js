@@ -48,7 +48,7 @@ CREATE TRIGGER trg_wallets_updated_at
 
 CREATE TABLE IF NOT EXISTS transactions (
   id               UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
-  transaction_type TEXT        NOT NULL CHECK (transaction_type IN ('topup', 'bonus', 'spend')),
+  transaction_type TEXT        NOT NULL CHECK (transaction_type IN ('topup', 'bonus', 'spend', 'transfer', 'reversal')),
   reference        TEXT        NOT NULL,
   initiated_by     TEXT        NOT NULL DEFAULT 'system',
   metadata         JSONB,
@@ -72,6 +72,7 @@ CREATE TABLE IF NOT EXISTS ledger_entries (
 CREATE INDEX IF NOT EXISTS idx_ledger_wallet_asset ON ledger_entries(wallet_id, asset_type_id);
 CREATE INDEX IF NOT EXISTS idx_ledger_transaction ON ledger_entries(transaction_id);
 CREATE INDEX IF NOT EXISTS idx_ledger_created ON ledger_entries(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ledger_wallet_created ON ledger_entries(wallet_id, created_at DESC, id DESC);
 
 
 CREATE TABLE IF NOT EXISTS idempotency_keys (
@@ -88,6 +89,630 @@ CREATE TABLE IF NOT EXISTS idempotency_keys (
 
 CREATE INDEX IF NOT EXISTS idx_idem_key ON idempotency_keys(idem_key);
 CREATE INDEX IF NOT EXISTS idx_idem_expires ON idempotency_keys(expires_at);
+CREATE INDEX IF NOT EXISTS idx_idem_transaction ON idempotency_keys(transaction_id);
+
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_transaction_type_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_transaction_type_check
+  CHECK (transaction_type IN ('topup', 'bonus', 'spend', 'transfer', 'reversal', 'multi_leg', 'expiry', 'exchange', 'mint', 'burn', 'funding'));
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS reverses_transaction_id UUID REFERENCES transactions(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_reverses
+  ON transactions(reverses_transaction_id) WHERE reverses_transaction_id IS NOT NULL;
+
+
+ALTER TABLE wallets
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active'
+  CHECK (status IN ('active', 'frozen', 'closed'));
+
+UPDATE wallets SET status = 'frozen' WHERE is_active = FALSE AND status = 'active';
+
+-- Older deployments may already hold several wallets per owner_ref. Creating
+-- the unique index over them would abort the whole migration, so report the
+-- duplicates and leave the index out until they have been merged by hand;
+-- WalletService still refuses to create new duplicates.
+DO $$
+DECLARE
+  duplicates TEXT;
+BEGIN
+  SELECT string_agg(owner_ref || ' (' || n || ')', ', ' ORDER BY owner_ref)
+  INTO duplicates
+  FROM (
+    SELECT owner_ref, COUNT(*) AS n
+    FROM wallets
+    GROUP BY owner_ref
+    HAVING COUNT(*) > 1
+  ) d;
+
+  IF duplicates IS NULL THEN
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_wallets_owner_ref ON wallets(owner_ref);
+  ELSE
+    RAISE WARNING 'uq_wallets_owner_ref not created; duplicate owner_ref values: %', duplicates;
+  END IF;
+END
+$$;
+
+
+CREATE TABLE IF NOT EXISTS wallet_status_events (
+  id            UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  wallet_id     UUID        NOT NULL REFERENCES wallets(id) ON DELETE RESTRICT,
+  action        TEXT        NOT NULL CHECK (action IN ('freeze', 'unfreeze', 'close')),
+  from_status   TEXT        NOT NULL,
+  to_status     TEXT        NOT NULL,
+  performed_by  TEXT        NOT NULL,
+  reason        TEXT        NOT NULL DEFAULT '',
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_status_events_wallet
+  ON wallet_status_events(wallet_id, created_at DESC);
+
+
+ALTER TABLE asset_types
+  ADD COLUMN IF NOT EXISTS decimal_places      INTEGER       NOT NULL DEFAULT 8
+    CHECK (decimal_places BETWEEN 0 AND 8),
+  ADD COLUMN IF NOT EXISTS min_transfer_amount NUMERIC(28,8) CHECK (min_transfer_amount > 0),
+  ADD COLUMN IF NOT EXISTS max_transfer_amount NUMERIC(28,8) CHECK (max_transfer_amount > 0),
+  ADD COLUMN IF NOT EXISTS updated_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW();
+
+ALTER TABLE asset_types DROP CONSTRAINT IF EXISTS asset_types_transfer_range_check;
+ALTER TABLE asset_types ADD CONSTRAINT asset_types_transfer_range_check
+  CHECK (min_transfer_amount IS NULL OR max_transfer_amount IS NULL
+         OR min_transfer_amount <= max_transfer_amount);
+
+DROP TRIGGER IF EXISTS trg_asset_types_updated_at ON asset_types;
+CREATE TRIGGER trg_asset_types_updated_at
+  BEFORE UPDATE ON asset_types
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+
+CREATE TABLE IF NOT EXISTS wallet_balances (
+  wallet_id      UUID          NOT NULL REFERENCES wallets(id) ON DELETE RESTRICT,
+  asset_type_id  UUID          NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  balance        NUMERIC(28,8) NOT NULL DEFAULT 0,
+  updated_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (wallet_id, asset_type_id)
+);
+
+INSERT INTO wallet_balances (wallet_id, asset_type_id, balance)
+SELECT
+  wallet_id,
+  asset_type_id,
+  SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+FROM ledger_entries
+GROUP BY wallet_id, asset_type_id
+ON CONFLICT (wallet_id, asset_type_id) DO NOTHING;
+
+
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS balance_after NUMERIC(28,8);
+
+UPDATE ledger_entries le
+SET balance_after = r.running_balance
+FROM (
+  SELECT
+    id,
+    SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+      OVER (PARTITION BY wallet_id, asset_type_id ORDER BY created_at, id) AS running_balance
+  FROM ledger_entries
+) r
+WHERE r.id = le.id
+  AND le.balance_after IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ledger_wallet_asset_created
+  ON ledger_entries(wallet_id, asset_type_id, created_at DESC, id DESC);
+
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  name        TEXT        NOT NULL UNIQUE,
+  key_prefix  TEXT        NOT NULL,
+  key_hash    TEXT        NOT NULL UNIQUE,
+  role        TEXT        NOT NULL
+    CHECK (role IN ('game_server', 'support_agent', 'finance_admin', 'player')),
+  subject     TEXT        NOT NULL,
+  is_active   BOOLEAN     NOT NULL DEFAULT TRUE,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at  TIMESTAMPTZ
+);
+
+
+ALTER TABLE asset_types
+  ADD COLUMN IF NOT EXISTS low_balance_threshold NUMERIC(28,8) CHECK (low_balance_threshold > 0);
+
+
+CREATE TABLE IF NOT EXISTS outbox_events (
+  id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_type  TEXT        NOT NULL,
+  payload     JSONB       NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_events_created ON outbox_events(created_at DESC);
+
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id           UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  url          TEXT        NOT NULL,
+  secret       TEXT        NOT NULL,
+  event_types  TEXT[]      NOT NULL,
+  description  TEXT        NOT NULL DEFAULT '',
+  created_by   TEXT        NOT NULL,
+  is_active    BOOLEAN     NOT NULL DEFAULT TRUE,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id               UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id         UUID        NOT NULL REFERENCES outbox_events(id) ON DELETE RESTRICT,
+  subscription_id  UUID        NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE RESTRICT,
+  status           TEXT        NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'delivered', 'dead')),
+  attempts         INTEGER     NOT NULL DEFAULT 0,
+  next_attempt_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_status_code INTEGER,
+  last_error       TEXT,
+  delivered_at     TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (event_id, subscription_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_dead
+  ON webhook_deliveries(created_at DESC) WHERE status = 'dead';
+
+
+CREATE TABLE IF NOT EXISTS bonus_jobs (
+  id             UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  idem_key       TEXT        NOT NULL UNIQUE,
+  request_hash   TEXT        NOT NULL,
+  asset_type_id  UUID        NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  reference      TEXT        NOT NULL,
+  status         TEXT        NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'completed')),
+  total_rows     INTEGER     NOT NULL,
+  succeeded_rows INTEGER     NOT NULL DEFAULT 0,
+  failed_rows    INTEGER     NOT NULL DEFAULT 0,
+  created_by     TEXT        NOT NULL,
+  lease_until    TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at     TIMESTAMPTZ,
+  completed_at   TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_bonus_jobs_open
+  ON bonus_jobs(created_at) WHERE status <> 'completed';
+
+
+CREATE TABLE IF NOT EXISTS bonus_job_rows (
+  job_id         UUID          NOT NULL REFERENCES bonus_jobs(id) ON DELETE CASCADE,
+  row_number     INTEGER       NOT NULL,
+  wallet_id      UUID          NOT NULL,
+  amount         NUMERIC(28,8) NOT NULL CHECK (amount > 0),
+  status         TEXT          NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'succeeded', 'failed')),
+  transaction_id UUID          REFERENCES transactions(id) ON DELETE RESTRICT,
+  error          TEXT,
+  processed_at   TIMESTAMPTZ,
+  PRIMARY KEY (job_id, row_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bonus_job_rows_pending
+  ON bonus_job_rows(job_id, row_number) WHERE status = 'pending';
+
+
+-- 'expired' is never stored: an active hold past expires_at simply stops
+-- counting against the available balance and is reported as expired.
+CREATE TABLE IF NOT EXISTS holds (
+  id              UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  wallet_id       UUID          NOT NULL REFERENCES wallets(id) ON DELETE RESTRICT,
+  asset_type_id   UUID          NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  amount          NUMERIC(28,8) NOT NULL CHECK (amount > 0),
+  captured_amount NUMERIC(28,8) NOT NULL DEFAULT 0,
+  status          TEXT          NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'captured', 'voided')),
+  reference       TEXT          NOT NULL,
+  initiated_by    TEXT          NOT NULL,
+  metadata        JSONB,
+  expires_at      TIMESTAMPTZ   NOT NULL,
+  created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  CONSTRAINT holds_captured_range CHECK (captured_amount >= 0 AND captured_amount <= amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_holds_active
+  ON holds(wallet_id, asset_type_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_holds_wallet_created
+  ON holds(wallet_id, created_at DESC);
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS hold_id UUID REFERENCES holds(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_hold
+  ON transactions(hold_id) WHERE hold_id IS NOT NULL;
+
+
+CREATE TABLE IF NOT EXISTS transfer_schedules (
+  id                  UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  operation           TEXT          NOT NULL CHECK (operation IN ('topup', 'bonus', 'transfer')),
+  wallet_id           UUID          NOT NULL REFERENCES wallets(id) ON DELETE RESTRICT,
+  to_wallet_id        UUID          REFERENCES wallets(id) ON DELETE RESTRICT,
+  asset_type_id       UUID          NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  amount              NUMERIC(28,8) NOT NULL CHECK (amount > 0),
+  reference           TEXT          NOT NULL,
+  metadata            JSONB,
+  run_at              TIMESTAMPTZ,
+  cron_expression     TEXT,
+  timezone            TEXT          NOT NULL DEFAULT 'UTC',
+  status              TEXT          NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'paused', 'cancelled', 'completed', 'failed')),
+  next_run_at         TIMESTAMPTZ,
+  run_count           INTEGER       NOT NULL DEFAULT 0,
+  last_run_at         TIMESTAMPTZ,
+  last_transaction_id UUID          REFERENCES transactions(id) ON DELETE RESTRICT,
+  last_error          TEXT,
+  lease_until         TIMESTAMPTZ,
+  created_by          TEXT          NOT NULL,
+  created_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  CONSTRAINT transfer_schedules_timing CHECK ((run_at IS NULL) <> (cron_expression IS NULL)),
+  CONSTRAINT transfer_schedules_target CHECK ((operation = 'transfer') = (to_wallet_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfer_schedules_due
+  ON transfer_schedules(next_run_at) WHERE status = 'active';
+
+-- Recurring schedules whose expression ran out of occurrences were left active
+-- with no next run; they are finished.
+UPDATE transfer_schedules
+SET status = 'completed', updated_at = NOW()
+WHERE status = 'active' AND next_run_at IS NULL;
+
+
+-- Expiring promotional credit. Debits draw down a wallet's lots soonest-expiring
+-- first; the sweeper returns what is left of an expired lot to the bonus pool.
+CREATE TABLE IF NOT EXISTS credit_lots (
+  id                    UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  wallet_id             UUID          NOT NULL REFERENCES wallets(id) ON DELETE RESTRICT,
+  asset_type_id         UUID          NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  transaction_id        UUID          NOT NULL REFERENCES transactions(id) ON DELETE RESTRICT,
+  amount                NUMERIC(28,8) NOT NULL CHECK (amount > 0),
+  remaining_amount      NUMERIC(28,8) NOT NULL,
+  expired_amount        NUMERIC(28,8),
+  expires_at            TIMESTAMPTZ   NOT NULL,
+  expired_at            TIMESTAMPTZ,
+  expiry_transaction_id UUID          REFERENCES transactions(id) ON DELETE RESTRICT,
+  created_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  CONSTRAINT credit_lots_remaining_range CHECK (remaining_amount >= 0 AND remaining_amount <= amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_lots_open
+  ON credit_lots(wallet_id, asset_type_id, expires_at) WHERE remaining_amount > 0;
+CREATE INDEX IF NOT EXISTS idx_credit_lots_expiring
+  ON credit_lots(expires_at) WHERE remaining_amount > 0;
+
+
+-- A limit applies to every wallet matching all of its non-null selectors
+-- (wallet, owner type, asset). Amount limits only make sense within one asset.
+CREATE TABLE IF NOT EXISTS spending_limits (
+  id                    UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  wallet_id             UUID          REFERENCES wallets(id) ON DELETE RESTRICT,
+  owner_type            TEXT          CHECK (owner_type IN ('user', 'system')),
+  asset_type_id         UUID          REFERENCES asset_types(id) ON DELETE RESTRICT,
+  max_per_transaction   NUMERIC(28,8) CHECK (max_per_transaction > 0),
+  period                TEXT          CHECK (period IN ('hour', 'day')),
+  max_amount_per_period NUMERIC(28,8) CHECK (max_amount_per_period > 0),
+  max_count_per_period  INTEGER       CHECK (max_count_per_period > 0),
+  reason                TEXT,
+  is_active             BOOLEAN       NOT NULL DEFAULT TRUE,
+  created_by            TEXT          NOT NULL,
+  created_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  CONSTRAINT spending_limits_selector
+    CHECK (wallet_id IS NOT NULL OR owner_type IS NOT NULL OR asset_type_id IS NOT NULL),
+  CONSTRAINT spending_limits_rule
+    CHECK (max_per_transaction IS NOT NULL OR max_amount_per_period IS NOT NULL OR max_count_per_period IS NOT NULL),
+  CONSTRAINT spending_limits_period
+    CHECK ((period IS NULL) = (max_amount_per_period IS NULL AND max_count_per_period IS NULL)),
+  CONSTRAINT spending_limits_amount_asset
+    CHECK (asset_type_id IS NOT NULL OR (max_per_transaction IS NULL AND max_amount_per_period IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_spending_limits_active
+  ON spending_limits(created_at) WHERE is_active = TRUE;
+
+
+-- Rates are never edited: a new row for the pair takes over at its
+-- effective_from, which may be in the future.
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id                 UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  from_asset_type_id UUID          NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  to_asset_type_id   UUID          NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  rate               NUMERIC(28,8) NOT NULL CHECK (rate > 0),
+  effective_from     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  created_by         TEXT          NOT NULL,
+  created_at         TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  CONSTRAINT exchange_rates_pair CHECK (from_asset_type_id <> to_asset_type_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair
+  ON exchange_rates(from_asset_type_id, to_asset_type_id, effective_from DESC);
+
+-- 'expired' and 'used' are derived from expires_at and transaction_id.
+CREATE TABLE IF NOT EXISTS exchange_quotes (
+  id                 UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  wallet_id          UUID          NOT NULL REFERENCES wallets(id) ON DELETE RESTRICT,
+  from_asset_type_id UUID          NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  to_asset_type_id   UUID          NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  rate_id            UUID          NOT NULL REFERENCES exchange_rates(id) ON DELETE RESTRICT,
+  rate               NUMERIC(28,8) NOT NULL,
+  from_amount        NUMERIC(28,8) NOT NULL CHECK (from_amount > 0),
+  to_amount          NUMERIC(28,8) NOT NULL CHECK (to_amount > 0),
+  expires_at         TIMESTAMPTZ   NOT NULL,
+  transaction_id     UUID          REFERENCES transactions(id) ON DELETE RESTRICT,
+  created_at         TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+
+-- At most one active schedule per asset and transaction type; setting a new one
+-- retires the old. Tiers are [{ "up_to": "100" | null, "flat": "1", "percent": "2" }],
+-- ascending, the last one open-ended.
+CREATE TABLE IF NOT EXISTS fee_schedules (
+  id               UUID          PRIMARY KEY DEFAULT gen_random_uuid(),
+  asset_type_id    UUID          NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  transaction_type TEXT          NOT NULL CHECK (transaction_type IN ('topup', 'bonus', 'spend', 'transfer')),
+  fee_type         TEXT          NOT NULL CHECK (fee_type IN ('flat', 'percent', 'tiered')),
+  flat_amount      NUMERIC(28,8) CHECK (flat_amount > 0),
+  percent          NUMERIC(7,4)  CHECK (percent > 0 AND percent < 100),
+  tiers            JSONB,
+  is_active        BOOLEAN       NOT NULL DEFAULT TRUE,
+  created_by       TEXT          NOT NULL,
+  created_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  CONSTRAINT fee_schedules_shape CHECK (
+    (fee_type = 'flat'    AND flat_amount IS NOT NULL AND percent IS NULL AND tiers IS NULL) OR
+    (fee_type = 'percent' AND percent IS NOT NULL AND flat_amount IS NULL AND tiers IS NULL) OR
+    (fee_type = 'tiered'  AND tiers IS NOT NULL AND flat_amount IS NULL AND percent IS NULL)
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_fee_schedules_active
+  ON fee_schedules(asset_type_id, transaction_type) WHERE is_active = TRUE;
+
+-- Set only when a fee was charged: gross is what the payer was debited, net
+-- what the payee received, and the fee went to system:revenue.
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS gross_amount    NUMERIC(28,8),
+  ADD COLUMN IF NOT EXISTS fee_amount      NUMERIC(28,8),
+  ADD COLUMN IF NOT EXISTS net_amount      NUMERIC(28,8),
+  ADD COLUMN IF NOT EXISTS fee_schedule_id UUID REFERENCES fee_schedules(id) ON DELETE RESTRICT;
+
+-- Mints move currency from system:issuance into the treasury and burns move it
+-- back, so supply is the negated issuance balance. The cap bounds it.
+ALTER TABLE asset_types
+  ADD COLUMN IF NOT EXISTS supply_cap NUMERIC(28,8) CHECK (supply_cap > 0);
+
+-- Created here so upgraded deployments have it too; the seed uses the same id.
+INSERT INTO wallets (id, owner_ref, owner_type, label)
+VALUES ('22222222-0000-0000-0000-000000000005', 'system:issuance', 'system', 'Issuance')
+ON CONFLICT (id) DO NOTHING;
+
+-- Posts one back-fill ledger entry the way LedgerRepository.insertEntry does,
+-- keeping wallet_balances and balance_after in step. Session-local.
+CREATE OR REPLACE FUNCTION pg_temp.post_backfill_entry(
+  p_transaction_id UUID, p_wallet_id UUID, p_asset_type_id UUID, p_direction TEXT, p_amount NUMERIC
+) RETURNS VOID AS $$
+DECLARE
+  new_balance NUMERIC(28,8);
+BEGIN
+  INSERT INTO wallet_balances (wallet_id, asset_type_id, balance)
+  VALUES (p_wallet_id, p_asset_type_id, CASE WHEN p_direction = 'credit' THEN p_amount ELSE -p_amount END)
+  ON CONFLICT (wallet_id, asset_type_id) DO UPDATE
+  SET balance    = wallet_balances.balance + EXCLUDED.balance,
+      updated_at = NOW()
+  RETURNING balance INTO new_balance;
+
+  INSERT INTO ledger_entries
+    (transaction_id, wallet_id, asset_type_id, direction, amount, balance_after, created_at)
+  VALUES (p_transaction_id, p_wallet_id, p_asset_type_id, p_direction, p_amount, new_balance, clock_timestamp());
+END
+$$ LANGUAGE plpgsql;
+
+-- Before mints existed, top-ups drove the treasury negative. Mint each asset's
+-- deficit from system:issuance so the treasury starts at zero rather than
+-- refusing every top-up. One transaction per asset with an id derived from the
+-- asset, so re-running the migration posts nothing twice.
+DO $$
+DECLARE
+  treasury_id UUID;
+  issuance_id CONSTANT UUID := '22222222-0000-0000-0000-000000000005';
+  deficit     RECORD;
+  tx_id       UUID;
+BEGIN
+  SELECT id INTO treasury_id
+  FROM wallets
+  WHERE owner_ref = 'system:treasury' AND owner_type = 'system'
+  ORDER BY created_at
+  LIMIT 1;
+
+  IF treasury_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  PERFORM 1 FROM wallets WHERE id IN (treasury_id, issuance_id) ORDER BY id FOR UPDATE;
+
+  FOR deficit IN
+    SELECT asset_type_id, -balance AS amount
+    FROM wallet_balances
+    WHERE wallet_id = treasury_id AND balance < 0
+  LOOP
+    tx_id := md5('treasury-backfill:' || deficit.asset_type_id)::uuid;
+
+    INSERT INTO transactions (id, transaction_type, reference, initiated_by, metadata)
+    VALUES (tx_id, 'mint', 'MIGRATION:TREASURY_BACKFILL', 'migration',
+            jsonb_build_object('reason', 'Treasury deficit from before supply tracking'))
+    ON CONFLICT (id) DO NOTHING;
+
+    CONTINUE WHEN NOT FOUND;
+
+    PERFORM pg_temp.post_backfill_entry(tx_id, issuance_id, deficit.asset_type_id, 'debit', deficit.amount);
+    PERFORM pg_temp.post_backfill_entry(tx_id, treasury_id, deficit.asset_type_id, 'credit', deficit.amount);
+  END LOOP;
+END
+$$;
+
+-- The bonus pool is funded from the treasury. A bonus may take it at most
+-- bonus_pool_overdraft_limit below zero (none when null), and a debit that
+-- takes it below bonus_pool_low_watermark emits bonus_pool.low.
+ALTER TABLE asset_types
+  ADD COLUMN IF NOT EXISTS bonus_pool_overdraft_limit NUMERIC(28,8) CHECK (bonus_pool_overdraft_limit > 0),
+  ADD COLUMN IF NOT EXISTS bonus_pool_low_watermark   NUMERIC(28,8) CHECK (bonus_pool_low_watermark > 0);
+
+-- Bonuses used to run the pool negative. Fund each asset's deficit from the
+-- treasury, minting whatever the treasury can't cover first, so the pool starts
+-- at zero. Keyed on the funding transaction's derived id, like the treasury
+-- back-fill above.
+DO $$
+DECLARE
+  treasury_id   UUID;
+  bonus_pool_id UUID;
+  issuance_id   CONSTANT UUID := '22222222-0000-0000-0000-000000000005';
+  deficit       RECORD;
+  funding_id    UUID;
+  mint_id       UUID;
+  shortfall     NUMERIC(28,8);
+BEGIN
+  SELECT id INTO treasury_id
+  FROM wallets
+  WHERE owner_ref = 'system:treasury' AND owner_type = 'system'
+  ORDER BY created_at
+  LIMIT 1;
+
+  SELECT id INTO bonus_pool_id
+  FROM wallets
+  WHERE owner_ref = 'system:bonus_pool' AND owner_type = 'system'
+  ORDER BY created_at
+  LIMIT 1;
+
+  IF treasury_id IS NULL OR bonus_pool_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  PERFORM 1 FROM wallets WHERE id IN (treasury_id, bonus_pool_id, issuance_id) ORDER BY id FOR UPDATE;
+
+  FOR deficit IN
+    SELECT asset_type_id, -balance AS amount
+    FROM wallet_balances
+    WHERE wallet_id = bonus_pool_id AND balance < 0
+  LOOP
+    funding_id := md5('bonus-pool-backfill:' || deficit.asset_type_id)::uuid;
+
+    INSERT INTO transactions (id, transaction_type, reference, initiated_by, metadata)
+    VALUES (funding_id, 'funding', 'MIGRATION:BONUS_POOL_BACKFILL', 'migration',
+            jsonb_build_object('reason', 'Bonus pool deficit from before pool funding'))
+    ON CONFLICT (id) DO NOTHING;
+
+    CONTINUE WHEN NOT FOUND;
+
+    SELECT deficit.amount - COALESCE(MAX(balance), 0) INTO shortfall
+    FROM wallet_balances
+    WHERE wallet_id = treasury_id AND asset_type_id = deficit.asset_type_id;
+
+    IF shortfall > 0 THEN
+      mint_id := md5('bonus-pool-backfill-mint:' || deficit.asset_type_id)::uuid;
+
+      INSERT INTO transactions (id, transaction_type, reference, initiated_by, metadata)
+      VALUES (mint_id, 'mint', 'MIGRATION:BONUS_POOL_BACKFILL', 'migration',
+              jsonb_build_object('reason', 'Treasury supply for the bonus pool back-fill'));
+
+      PERFORM pg_temp.post_backfill_entry(mint_id, issuance_id, deficit.asset_type_id, 'debit', shortfall);
+      PERFORM pg_temp.post_backfill_entry(mint_id, treasury_id, deficit.asset_type_id, 'credit', shortfall);
+    END IF;
+
+    PERFORM pg_temp.post_backfill_entry(funding_id, treasury_id, deficit.asset_type_id, 'debit', deficit.amount);
+    PERFORM pg_temp.post_backfill_entry(funding_id, bonus_pool_id, deficit.asset_type_id, 'credit', deficit.amount);
+  END LOOP;
+END
+$$;
+
+-- Only system:issuance may be overdrawn now; the market maker used to pay out
+-- exchanges regardless of its balance. Fund every other negative system wallet
+-- (the treasury and the bonus pool are handled above) from the treasury the
+-- same way, minting whatever the treasury can't cover first.
+DO $$
+DECLARE
+  treasury_id UUID;
+  issuance_id CONSTANT UUID := '22222222-0000-0000-0000-000000000005';
+  deficit     RECORD;
+  funding_id  UUID;
+  mint_id     UUID;
+  shortfall   NUMERIC(28,8);
+BEGIN
+  SELECT id INTO treasury_id
+  FROM wallets
+  WHERE owner_ref = 'system:treasury' AND owner_type = 'system'
+  ORDER BY created_at
+  LIMIT 1;
+
+  IF treasury_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  PERFORM 1 FROM wallets WHERE owner_type = 'system' ORDER BY id FOR UPDATE;
+
+  FOR deficit IN
+    SELECT wb.wallet_id, wb.asset_type_id, -wb.balance AS amount
+    FROM wallet_balances wb
+    JOIN wallets         w ON w.id = wb.wallet_id
+    WHERE w.owner_type = 'system'
+      AND w.owner_ref NOT IN ('system:treasury', 'system:bonus_pool', 'system:issuance')
+      AND wb.balance < 0
+  LOOP
+    funding_id := md5('system-wallet-backfill:' || deficit.wallet_id || ':' || deficit.asset_type_id)::uuid;
+
+    INSERT INTO transactions (id, transaction_type, reference, initiated_by, metadata)
+    VALUES (funding_id, 'funding', 'MIGRATION:SYSTEM_WALLET_BACKFILL', 'migration',
+            jsonb_build_object('reason', 'System wallet deficit from before coverage checks'))
+    ON CONFLICT (id) DO NOTHING;
+
+    CONTINUE WHEN NOT FOUND;
+
+    SELECT deficit.amount - COALESCE(MAX(balance), 0) INTO shortfall
+    FROM wallet_balances
+    WHERE wallet_id = treasury_id AND asset_type_id = deficit.asset_type_id;
+
+    IF shortfall > 0 THEN
+      mint_id := md5('system-wallet-backfill-mint:' || deficit.wallet_id || ':' || deficit.asset_type_id)::uuid;
+
+      INSERT INTO transactions (id, transaction_type, reference, initiated_by, metadata)
+      VALUES (mint_id, 'mint', 'MIGRATION:SYSTEM_WALLET_BACKFILL', 'migration',
+              jsonb_build_object('reason', 'Treasury supply for the system wallet back-fill'));
+
+      PERFORM pg_temp.post_backfill_entry(mint_id, issuance_id, deficit.asset_type_id, 'debit', shortfall);
+      PERFORM pg_temp.post_backfill_entry(mint_id, treasury_id, deficit.asset_type_id, 'credit', shortfall);
+    END IF;
+
+    PERFORM pg_temp.post_backfill_entry(funding_id, treasury_id, deficit.asset_type_id, 'debit', deficit.amount);
+    PERFORM pg_temp.post_backfill_entry(funding_id, deficit.wallet_id, deficit.asset_type_id, 'credit', deficit.amount);
+  END LOOP;
+END
+$$;
+
+-- A credit line lets a user wallet spend one asset down to -credit_limit.
+CREATE TABLE IF NOT EXISTS credit_lines (
+  wallet_id     UUID          NOT NULL REFERENCES wallets(id) ON DELETE RESTRICT,
+  asset_type_id UUID          NOT NULL REFERENCES asset_types(id) ON DELETE RESTRICT,
+  credit_limit  NUMERIC(28,8) NOT NULL CHECK (credit_limit > 0),
+  reason        TEXT,
+  created_by    TEXT          NOT NULL,
+  created_at    TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (wallet_id, asset_type_id)
+);
 
 COMMIT;
 `;
@@ -0,0 +1,42 @@
+'use strict';
+
+const { pool, withTransaction } = require('./pool');
+const LedgerRepository = require('../repositories/LedgerRepository');
+
+
+async function rebuildBalances({ dryRun = false } = {}) {
+  const ledgerRepo = new LedgerRepository(pool);
+
+  console.log(dryRun
+    ? 'Checking wallet balances against the ledger...'
+    : 'Rebuilding wallet balances from the ledger...');
+
+  try {
+    const drift = await withTransaction(async (client) => {
+      if (dryRun) {
+        return ledgerRepo.getBalanceDrift(client);
+      }
+      return ledgerRepo.rebuildBalances(client);
+    });
+
+    if (drift.length === 0) {
+      console.log('No drift detected');
+    } else {
+      console.log(`Drift detected in ${drift.length} balance(s):`);
+      console.table(drift);
+      if (!dryRun) console.log('Balances rebuilt from ledger');
+    }
+
+    return drift;
+  } catch (err) {
+    console.error('Balance rebuild failed:', err.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  rebuildBalances({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => pool.end());
+}
+
+module.exports = rebuildBalances;
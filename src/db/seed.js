@@ -1,6 +1,7 @@
 'use strict';
 
 const { pool } = require('./pool');
+const LedgerRepository = require('../repositories/LedgerRepository');
 
 
 const SEEDS = {
@@ -13,14 +14,27 @@ const SEEDS = {
         treasury: '22222222-0000-0000-0000-000000000001',
         bonusPool: '22222222-0000-0000-0000-000000000002',
         revenue: '22222222-0000-0000-0000-000000000003',
+        marketMaker: '22222222-0000-0000-0000-000000000004',
+        issuance: '22222222-0000-0000-0000-000000000005',
         alice: '33333333-0000-0000-0000-000000000001',
         bob: '33333333-0000-0000-0000-000000000002',
     },
+    exchangeRates: {
+        goldToLoyalty: '44444444-0000-0000-0000-000000000001',
+        diamondsToGold: '44444444-0000-0000-0000-000000000002',
+    },
     transactions: {
         aliceGold: 'aaaaaaaa-0000-0000-0000-000000000001',
         aliceDia: 'aaaaaaaa-0000-0000-0000-000000000002',
         bobGold: 'aaaaaaaa-0000-0000-0000-000000000003',
         bobLpt: 'aaaaaaaa-0000-0000-0000-000000000004',
+        mintGold: 'aaaaaaaa-0000-0000-0000-000000000005',
+        mintDia: 'aaaaaaaa-0000-0000-0000-000000000006',
+        mintLpt: 'aaaaaaaa-0000-0000-0000-000000000007',
+        fundPoolGold: 'aaaaaaaa-0000-0000-0000-000000000008',
+        fundPoolLpt: 'aaaaaaaa-0000-0000-0000-000000000009',
+        fundMarketMakerGold: 'aaaaaaaa-0000-0000-0000-000000000010',
+        fundMarketMakerLpt: 'aaaaaaaa-0000-0000-0000-000000000011',
     },
 };
 
@@ -45,9 +59,17 @@ async function seed() {
       INSERT INTO wallets (id, owner_ref, owner_type, label) VALUES
         ($1, 'system:treasury',   'system', 'Treasury'),
         ($2, 'system:bonus_pool', 'system', 'Bonus Pool'),
-        ($3, 'system:revenue',    'system', 'Revenue')
+        ($3, 'system:revenue',    'system', 'Revenue'),
+        ($4, 'system:market_maker', 'system', 'Market Maker'),
+        ($5, 'system:issuance',   'system', 'Issuance')
       ON CONFLICT (id) DO NOTHING
-    `, [SEEDS.wallets.treasury, SEEDS.wallets.bonusPool, SEEDS.wallets.revenue]);
+    `, [
+            SEEDS.wallets.treasury,
+            SEEDS.wallets.bonusPool,
+            SEEDS.wallets.revenue,
+            SEEDS.wallets.marketMaker,
+            SEEDS.wallets.issuance,
+        ]);
 
         console.log('  → Creating user wallets...');
         await client.query(`
@@ -59,6 +81,68 @@ async function seed() {
 
 
 
+        console.log('  → Setting exchange rates...');
+        await client.query(`
+      INSERT INTO exchange_rates (id, from_asset_type_id, to_asset_type_id, rate, created_by) VALUES
+        ($1, $3, $4, 0.5, 'seed'),
+        ($2, $5, $3, 100, 'seed')
+      ON CONFLICT (id) DO NOTHING
+    `, [
+            SEEDS.exchangeRates.goldToLoyalty,
+            SEEDS.exchangeRates.diamondsToGold,
+            SEEDS.assets.goldCoins,
+            SEEDS.assets.loyaltyPoints,
+            SEEDS.assets.diamonds,
+        ]);
+
+        console.log('  → Minting opening supply into the treasury...');
+        const openingMints = [
+            [SEEDS.transactions.mintGold, 'SEED-MINT-GLD', SEEDS.assets.goldCoins, 1000000],
+            [SEEDS.transactions.mintDia, 'SEED-MINT-DIA', SEEDS.assets.diamonds, 100000],
+            [SEEDS.transactions.mintLpt, 'SEED-MINT-LPT', SEEDS.assets.loyaltyPoints, 1000000],
+        ];
+
+        for (const [transactionId, reference, assetTypeId, amount] of openingMints) {
+            await client.query(`
+      INSERT INTO transactions (id, transaction_type, reference, initiated_by)
+      VALUES ($1, 'mint', $2, 'system')
+      ON CONFLICT (id) DO NOTHING
+    `, [transactionId, reference]);
+
+            await client.query(`
+      INSERT INTO ledger_entries (transaction_id, wallet_id, asset_type_id, direction, amount)
+      VALUES
+        ($1, $2, $4, 'debit',  $5),
+        ($1, $3, $4, 'credit', $5)
+      ON CONFLICT DO NOTHING
+    `, [transactionId, SEEDS.wallets.issuance, SEEDS.wallets.treasury, assetTypeId, amount]);
+        }
+
+        // The market maker pays out the target asset of every seeded rate.
+        console.log('  → Funding the bonus pool and the market maker...');
+        const funding = [
+            [SEEDS.transactions.fundPoolGold, 'SEED-FUND-POOL-GLD', SEEDS.wallets.bonusPool, SEEDS.assets.goldCoins, 100000],
+            [SEEDS.transactions.fundPoolLpt, 'SEED-FUND-POOL-LPT', SEEDS.wallets.bonusPool, SEEDS.assets.loyaltyPoints, 100000],
+            [SEEDS.transactions.fundMarketMakerGold, 'SEED-FUND-MM-GLD', SEEDS.wallets.marketMaker, SEEDS.assets.goldCoins, 100000],
+            [SEEDS.transactions.fundMarketMakerLpt, 'SEED-FUND-MM-LPT', SEEDS.wallets.marketMaker, SEEDS.assets.loyaltyPoints, 100000],
+        ];
+
+        for (const [transactionId, reference, walletId, assetTypeId, amount] of funding) {
+            await client.query(`
+      INSERT INTO transactions (id, transaction_type, reference, initiated_by)
+      VALUES ($1, 'funding', $2, 'system')
+      ON CONFLICT (id) DO NOTHING
+    `, [transactionId, reference]);
+
+            await client.query(`
+      INSERT INTO ledger_entries (transaction_id, wallet_id, asset_type_id, direction, amount)
+      VALUES
+        ($1, $2, $4, 'debit',  $5),
+        ($1, $3, $4, 'credit', $5)
+      ON CONFLICT DO NOTHING
+    `, [transactionId, SEEDS.wallets.treasury, walletId, assetTypeId, amount]);
+        }
+
         console.log('  → Seeding initial balances...');
 
 
@@ -118,6 +202,11 @@ async function seed() {
       ON CONFLICT DO NOTHING
     `, [SEEDS.transactions.bobLpt, SEEDS.wallets.bonusPool, SEEDS.assets.loyaltyPoints, SEEDS.wallets.bob]);
 
+        console.log('  → Rebuilding wallet balances...');
+        const ledgerRepo = new LedgerRepository(pool);
+        await ledgerRepo.backfillRunningBalances(client);
+        await ledgerRepo.rebuildBalances(client);
+
         await client.query('COMMIT');
         console.log('Initial balances created');
 
@@ -150,6 +239,7 @@ async function seed() {
         console.log(`  Treasury      : ${SEEDS.wallets.treasury}`);
         console.log(`  Bonus Pool    : ${SEEDS.wallets.bonusPool}`);
         console.log(`  Revenue       : ${SEEDS.wallets.revenue}`);
+        console.log(`  Issuance      : ${SEEDS.wallets.issuance}`);
         console.log('─'.repeat(50));
 
     } catch (err) {
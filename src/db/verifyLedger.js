@@ -0,0 +1,42 @@
+'use strict';
+
+const fs = require('fs');
+const { pool } = require('./pool');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const LedgerIntegrityService = require('../services/LedgerIntegrityService');
+
+
+async function verifyLedger({ outFile = null } = {}) {
+  const service = new LedgerIntegrityService({
+    ledgerRepo: new LedgerRepository(pool),
+  });
+
+  try {
+    const report = await service.verify();
+    const json = JSON.stringify(report, null, 2) + '\n';
+
+    if (outFile) {
+      fs.writeFileSync(outFile, json);
+      console.log(`Ledger verification ${report.ok ? 'passed' : 'FAILED'} — report written to ${outFile}`);
+    } else {
+      process.stdout.write(json);
+    }
+
+    return report;
+  } catch (err) {
+    console.error('Ledger verification failed:', err.message);
+    process.exit(2);
+  }
+}
+
+if (require.main === module) {
+  const outIndex = process.argv.indexOf('--out');
+  const outFile = outIndex !== -1 ? process.argv[outIndex + 1] : null;
+
+  verifyLedger({ outFile }).then(async (report) => {
+    await pool.end();
+    process.exit(report.ok ? 0 : 1);
+  });
+}
+
+module.exports = verifyLedger;
@@ -19,6 +19,22 @@ class BadRequestError extends APIError {
 }
 
 
+class UnauthorizedError extends APIError {
+    constructor(message = 'Authentication required') {
+        super(401, message);
+        this.name = 'UnauthorizedError';
+    }
+}
+
+
+class ForbiddenError extends APIError {
+    constructor(message = 'Forbidden') {
+        super(403, message);
+        this.name = 'ForbiddenError';
+    }
+}
+
+
 class NotFoundError extends APIError {
     constructor(message = 'Resource not found') {
         super(404, message);
@@ -43,6 +59,17 @@ class UnprocessableEntityError extends APIError {
 }
 
 
+// Carries machine-readable details of the limit that was hit, returned
+// alongside the message so clients can tell when to retry.
+class LimitExceededError extends UnprocessableEntityError {
+    constructor(message, details) {
+        super(message);
+        this.name = 'LimitExceededError';
+        this.details = details;
+    }
+}
+
+
 class InternalError extends APIError {
     constructor(message = 'Internal server error') {
         super(500, message);
@@ -53,8 +80,11 @@ class InternalError extends APIError {
 module.exports = {
     APIError,
     BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
     NotFoundError,
     ConflictError,
     UnprocessableEntityError,
+    LimitExceededError,
     InternalError,
 };
\ No newline at end of file
@@ -0,0 +1,28 @@
+'use strict';
+
+const { Router } = require('express');
+const LedgerIntegrityService = require('../services/LedgerIntegrityService');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const { authorize } = require('../middleware/auth');
+
+
+module.exports = function adminRoutes(pool) {
+    const router = Router();
+
+
+    const ledgerRepo = new LedgerRepository(pool);
+
+    const integrityService = new LedgerIntegrityService({ ledgerRepo });
+
+
+    router.get('/ledger/verify', authorize('ledger:verify'), async (req, res, next) => {
+        try {
+            const report = await integrityService.verify();
+            res.json(report);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+const { Router } = require('express');
+const AssetService = require('../services/AssetService');
+const AssetRepository = require('../repositories/AssetRepository');
+const { BadRequestError } = require('../errors/ApiError');
+const { authorize } = require('../middleware/auth');
+const { parseAmount } = require('../utils/decimal');
+
+
+module.exports = function assetRoutes(pool) {
+    const router = Router();
+
+
+    const assetRepo = new AssetRepository(pool);
+
+    const service = new AssetService({ assetRepo });
+
+
+    router.get('/assets', authorize('assets:read'), async (req, res, next) => {
+        try {
+            const assets = await service.listAssets();
+            res.json({ assets });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/assets/:assetTypeId', authorize('assets:read'), async (req, res, next) => {
+        try {
+            const asset = await service.getAsset(req.params.assetTypeId);
+            res.json({ data: asset });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/assets', authorize('assets:manage'), async (req, res, next) => {
+        try {
+            const body = validateAssetBody(req.body, { partial: false });
+            const asset = await service.createAsset(body);
+            res.status(201).json({ data: asset });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.patch('/assets/:assetTypeId', authorize('assets:manage'), async (req, res, next) => {
+        try {
+            const body = validateAssetBody(req.body, { partial: true });
+            const asset = await service.updateAsset(req.params.assetTypeId, body);
+            res.json({ data: asset });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/assets/:assetTypeId/deactivate', authorize('assets:manage'), async (req, res, next) => {
+        try {
+            const asset = await service.deactivateAsset(req.params.assetTypeId);
+            res.json({ data: asset });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+};
+
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{1,10}$/;
+
+
+function validateAssetBody(body, { partial }) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const {
+        name,
+        symbol,
+        description,
+        decimal_places,
+        min_transfer_amount,
+        max_transfer_amount,
+        low_balance_threshold,
+        supply_cap,
+        bonus_pool_overdraft_limit,
+        bonus_pool_low_watermark,
+    } = body;
+
+    const result = {};
+
+
+    if (name !== undefined || !partial) {
+        if (!name || typeof name !== 'string' || name.trim() === '') {
+            throw new BadRequestError('name is required');
+        }
+        result.name = name.trim();
+    }
+
+
+    if (symbol !== undefined || !partial) {
+        if (!symbol || typeof symbol !== 'string') {
+            throw new BadRequestError('symbol is required');
+        }
+
+        const normalized = symbol.trim().toUpperCase();
+        if (!SYMBOL_PATTERN.test(normalized)) {
+            throw new BadRequestError('symbol must be 1-10 letters or digits (e.g., "GLD")');
+        }
+        result.symbol = normalized;
+    }
+
+
+    if (description !== undefined) {
+        if (typeof description !== 'string') {
+            throw new BadRequestError('description must be a string');
+        }
+        result.description = description.trim();
+    }
+
+
+    if (decimal_places !== undefined) {
+        if (!Number.isInteger(decimal_places) || decimal_places < 0 || decimal_places > 8) {
+            throw new BadRequestError('decimal_places must be an integer between 0 and 8');
+        }
+        result.decimalPlaces = decimal_places;
+    }
+
+
+    result.minTransferAmount = parseOptionalAmount(min_transfer_amount, 'min_transfer_amount');
+    result.maxTransferAmount = parseOptionalAmount(max_transfer_amount, 'max_transfer_amount');
+    result.lowBalanceThreshold = parseOptionalAmount(low_balance_threshold, 'low_balance_threshold');
+    result.supplyCap = parseOptionalAmount(supply_cap, 'supply_cap');
+    result.bonusPoolOverdraftLimit = parseOptionalAmount(bonus_pool_overdraft_limit, 'bonus_pool_overdraft_limit');
+    result.bonusPoolLowWatermark = parseOptionalAmount(bonus_pool_low_watermark, 'bonus_pool_low_watermark');
+
+    if (partial && Object.values(result).every(v => v === undefined)) {
+        throw new BadRequestError('At least one field must be provided');
+    }
+
+    return result;
+}
+
+
+function parseOptionalAmount(value, field) {
+    if (value === undefined || value === null) {
+        return value;
+    }
+
+    const exactValue = parseAmount(value);
+    if (!exactValue) {
+        throw new BadRequestError(`${field} must be a positive decimal or null`);
+    }
+
+    return exactValue.toFixed();
+}
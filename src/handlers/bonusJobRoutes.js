@@ -0,0 +1,197 @@
+'use strict';
+
+const { Router } = require('express');
+const BonusJobService = require('../services/BonusJobService');
+const BonusJobRepository = require('../repositories/BonusJobRepository');
+const AssetRepository = require('../repositories/AssetRepository');
+const { BadRequestError } = require('../errors/ApiError');
+const { authorize } = require('../middleware/auth');
+const { parseAmount } = require('../utils/decimal');
+const { queryParam, requireIdempotencyKey } = require('../utils/requestParams');
+const config = require('../config');
+
+
+module.exports = function bonusJobRoutes(pool) {
+    const router = Router();
+
+
+    const bonusJobRepo = new BonusJobRepository(pool);
+    const assetRepo = new AssetRepository(pool);
+
+    const service = new BonusJobService({ bonusJobRepo, assetRepo });
+
+
+    router.get('/bonus-jobs', authorize('funds:bonus'), async (req, res, next) => {
+        try {
+            const limit = Math.max(1, Math.min(200, parseInt(req.query.limit || '50', 10) || 50));
+            const jobs = await service.listJobs({ limit });
+            res.json({ jobs });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/bonus-jobs', authorize('funds:bonus'), async (req, res, next) => {
+        try {
+            const idemKey = requireIdempotencyKey(req);
+            const body = validateJobRequest(req);
+
+            const { data, fromCache } = await service.createJob(
+                { ...body, createdBy: req.principal.actor },
+                idemKey
+            );
+
+            res.status(fromCache ? 200 : 202).json({
+                data,
+                from_cache: fromCache,
+            });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/bonus-jobs/:jobId', authorize('funds:bonus'), async (req, res, next) => {
+        try {
+            const job = await service.getJob(req.params.jobId);
+            res.json({ data: job });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/bonus-jobs/:jobId/rows', authorize('funds:bonus'), async (req, res, next) => {
+        try {
+            const query = validateRowsQuery(req.query);
+            const report = await service.getJobRows(req.params.jobId, query);
+            res.json(report);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+};
+
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ROW_STATUSES = ['pending', 'succeeded', 'failed'];
+const MAX_REPORTED_ERRORS = 20;
+
+
+// JSON bodies carry everything; CSV uploads (Content-Type: text/csv) carry the
+// rows and take asset_type_id and reference from the query string.
+function validateJobRequest(req) {
+    const isCsv = req.is('text/csv');
+    const source = isCsv ? req.query : req.body;
+
+    if (!source || typeof source !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object or a text/csv upload');
+    }
+
+    const { asset_type_id, reference } = source;
+
+    if (!asset_type_id || typeof asset_type_id !== 'string') {
+        throw new BadRequestError('asset_type_id is required (UUID string)');
+    }
+
+    if (!reference || typeof reference !== 'string' || reference.trim() === '') {
+        throw new BadRequestError('reference is required (e.g., "CAMPAIGN-WINTER-2026")');
+    }
+
+    const rawRows = isCsv ? parseCsvRows(req.body) : req.body.rows;
+
+    return {
+        assetTypeId: asset_type_id.trim(),
+        reference: reference.trim(),
+        rows: validateRows(rawRows),
+    };
+}
+
+
+function parseCsvRows(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new BadRequestError('CSV upload is empty');
+    }
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+
+    const walletIndex = header.indexOf('wallet_id');
+    const amountIndex = header.indexOf('amount');
+    if (walletIndex === -1 || amountIndex === -1) {
+        throw new BadRequestError('CSV header must include wallet_id and amount columns');
+    }
+
+    return lines.slice(1).map((line) => {
+        const cells = line.split(',').map(c => c.trim());
+        return { wallet_id: cells[walletIndex], amount: cells[amountIndex] };
+    });
+}
+
+
+function validateRows(rows) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new BadRequestError('rows must be a non-empty list of { wallet_id, amount }');
+    }
+
+    if (rows.length > config.BONUS_JOB_MAX_ROWS) {
+        throw new BadRequestError(`A bonus job may contain at most ${config.BONUS_JOB_MAX_ROWS} rows`);
+    }
+
+    const errors = [];
+    const seen = new Set();
+
+    const validated = rows.map((row, i) => {
+        const rowNumber = i + 1;
+        const walletId = row && typeof row.wallet_id === 'string' ? row.wallet_id.trim() : '';
+        const exactAmount = row ? parseAmount(row.amount) : null;
+
+        if (!UUID_PATTERN.test(walletId)) {
+            errors.push(`row ${rowNumber}: wallet_id must be a UUID`);
+        } else if (seen.has(walletId.toLowerCase())) {
+            errors.push(`row ${rowNumber}: duplicate wallet_id ${walletId}`);
+        }
+        seen.add(walletId.toLowerCase());
+
+        if (!exactAmount) {
+            errors.push(`row ${rowNumber}: amount must be a positive decimal with at most 8 decimal places`);
+        }
+
+        return { rowNumber, walletId, amount: exactAmount && exactAmount.toFixed() };
+    });
+
+    if (errors.length > 0) {
+        const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+        const more = errors.length - shown.length;
+        throw new BadRequestError(
+            `Invalid rows: ${shown.join('; ')}${more > 0 ? `; and ${more} more` : ''}`
+        );
+    }
+
+    return validated;
+}
+
+
+function validateRowsQuery(query) {
+    const status = queryParam(query, 'status');
+    const afterRowParam = queryParam(query, 'after_row');
+    const limit = queryParam(query, 'limit');
+
+    if (status !== undefined && !ROW_STATUSES.includes(status)) {
+        throw new BadRequestError(`status must be one of: ${ROW_STATUSES.join(', ')}`);
+    }
+
+    const afterRow = afterRowParam === undefined ? 0 : parseInt(afterRowParam, 10);
+    if (!Number.isInteger(afterRow) || afterRow < 0) {
+        throw new BadRequestError('after_row must be a non-negative integer');
+    }
+
+    return {
+        status: status || null,
+        afterRow,
+        limit: Math.max(1, Math.min(1000, parseInt(limit || '100', 10) || 100)),
+    };
+}
@@ -0,0 +1,96 @@
+'use strict';
+
+const { Router } = require('express');
+const CreditLineService = require('../services/CreditLineService');
+const CreditLineRepository = require('../repositories/CreditLineRepository');
+const WalletRepository = require('../repositories/WalletRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const AssetRepository = require('../repositories/AssetRepository');
+const { BadRequestError } = require('../errors/ApiError');
+const { authorize } = require('../middleware/auth');
+const { parseAmount } = require('../utils/decimal');
+const { queryParam } = require('../utils/requestParams');
+
+
+module.exports = function creditLineRoutes(pool) {
+    const router = Router();
+
+
+    const creditLineRepo = new CreditLineRepository(pool);
+    const walletRepo = new WalletRepository(pool);
+    const ledgerRepo = new LedgerRepository(pool);
+    const assetRepo = new AssetRepository(pool);
+
+    const service = new CreditLineService({ creditLineRepo, walletRepo, ledgerRepo, assetRepo });
+
+
+    router.get('/credit-lines', authorize('credit:manage'), async (req, res, next) => {
+        try {
+            const creditLines = await service.listCreditLines({
+                walletId: queryParam(req.query, 'wallet_id') || null,
+            });
+            res.json({ credit_lines: creditLines });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    // Sets the line for the wallet and asset, replacing any existing one.
+    router.post('/credit-lines', authorize('credit:manage'), async (req, res, next) => {
+        try {
+            const body = validateCreditLineBody(req.body);
+            const creditLine = await service.setCreditLine({
+                ...body,
+                createdBy: req.principal.actor,
+            });
+            res.json({ data: creditLine });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.delete('/credit-lines/:walletId/:assetTypeId', authorize('credit:manage'), async (req, res, next) => {
+        try {
+            const creditLine = await service.removeCreditLine(req.params.walletId, req.params.assetTypeId);
+            res.json({ data: creditLine });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+};
+
+
+function validateCreditLineBody(body) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const { wallet_id, asset_type_id, credit_limit, reason } = body;
+
+    if (!wallet_id || typeof wallet_id !== 'string') {
+        throw new BadRequestError('wallet_id is required (UUID string)');
+    }
+    if (!asset_type_id || typeof asset_type_id !== 'string') {
+        throw new BadRequestError('asset_type_id is required (UUID string)');
+    }
+
+    const exactLimit = parseAmount(credit_limit);
+    if (!exactLimit) {
+        throw new BadRequestError('credit_limit must be a positive decimal with at most 8 decimal places');
+    }
+
+    if (reason !== undefined && typeof reason !== 'string') {
+        throw new BadRequestError('reason must be a string');
+    }
+
+    return {
+        walletId: wallet_id.trim(),
+        assetTypeId: asset_type_id.trim(),
+        creditLimit: exactLimit.toFixed(),
+        reason: reason ? reason.trim() : null,
+    };
+}
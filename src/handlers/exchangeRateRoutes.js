@@ -0,0 +1,94 @@
+'use strict';
+
+const { Router } = require('express');
+const ExchangeRateService = require('../services/ExchangeRateService');
+const ExchangeRateRepository = require('../repositories/ExchangeRateRepository');
+const AssetRepository = require('../repositories/AssetRepository');
+const { BadRequestError } = require('../errors/ApiError');
+const { authorize } = require('../middleware/auth');
+const { parseAmount } = require('../utils/decimal');
+const { queryParam } = require('../utils/requestParams');
+
+
+module.exports = function exchangeRateRoutes(pool) {
+    const router = Router();
+
+
+    const exchangeRateRepo = new ExchangeRateRepository(pool);
+    const assetRepo = new AssetRepository(pool);
+
+    const service = new ExchangeRateService({ exchangeRateRepo, assetRepo });
+
+
+    // Current rates for every pair, or with both asset IDs the pair's full
+    // history including rates scheduled for later.
+    router.get('/exchange-rates', authorize('assets:read'), async (req, res, next) => {
+        try {
+            const fromAssetTypeId = queryParam(req.query, 'from_asset_type_id');
+            const toAssetTypeId = queryParam(req.query, 'to_asset_type_id');
+
+            if (Boolean(fromAssetTypeId) !== Boolean(toAssetTypeId)) {
+                throw new BadRequestError('Provide both from_asset_type_id and to_asset_type_id, or neither');
+            }
+
+            const rates = fromAssetTypeId
+                ? await service.listPairRates(fromAssetTypeId, toAssetTypeId)
+                : await service.listCurrentRates();
+            res.json({ rates });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/exchange-rates', authorize('rates:manage'), async (req, res, next) => {
+        try {
+            const body = validateRateBody(req.body);
+            const rate = await service.setRate({
+                ...body,
+                createdBy: req.principal.actor,
+            });
+            res.status(201).json({ data: rate });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+};
+
+
+function validateRateBody(body) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const { from_asset_type_id, to_asset_type_id, rate, effective_from } = body;
+
+    if (!from_asset_type_id || typeof from_asset_type_id !== 'string') {
+        throw new BadRequestError('from_asset_type_id is required (UUID string)');
+    }
+    if (!to_asset_type_id || typeof to_asset_type_id !== 'string') {
+        throw new BadRequestError('to_asset_type_id is required (UUID string)');
+    }
+
+    const exactRate = parseAmount(rate);
+    if (!exactRate) {
+        throw new BadRequestError('rate must be a positive decimal with at most 8 decimal places (units of the target asset per unit of the source)');
+    }
+
+    let effectiveFrom = null;
+    if (effective_from !== undefined) {
+        effectiveFrom = typeof effective_from === 'string' ? new Date(effective_from) : null;
+        if (!effectiveFrom || isNaN(effectiveFrom.getTime())) {
+            throw new BadRequestError('effective_from must be an ISO-8601 timestamp');
+        }
+    }
+
+    return {
+        fromAssetTypeId: from_asset_type_id.trim(),
+        toAssetTypeId: to_asset_type_id.trim(),
+        rate: exactRate.toFixed(),
+        effectiveFrom,
+    };
+}
@@ -0,0 +1,162 @@
+'use strict';
+
+const { Router } = require('express');
+const FeeService = require('../services/FeeService');
+const FeeRepository = require('../repositories/FeeRepository');
+const AssetRepository = require('../repositories/AssetRepository');
+const { BadRequestError } = require('../errors/ApiError');
+const { authorize } = require('../middleware/auth');
+const { Decimal, parseAmount } = require('../utils/decimal');
+
+
+module.exports = function feeRoutes(pool) {
+    const router = Router();
+
+
+    const feeRepo = new FeeRepository(pool);
+    const assetRepo = new AssetRepository(pool);
+
+    const service = new FeeService({ feeRepo, assetRepo });
+
+
+    router.get('/fees', authorize('assets:read'), async (req, res, next) => {
+        try {
+            const fees = await service.listFees({
+                includeInactive: req.query.include_inactive === 'true',
+            });
+            res.json({ fees });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/fees', authorize('fees:manage'), async (req, res, next) => {
+        try {
+            const body = validateFeeBody(req.body);
+            const fee = await service.setFee({
+                ...body,
+                createdBy: req.principal.actor,
+            });
+            res.status(201).json({ data: fee });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.delete('/fees/:feeId', authorize('fees:manage'), async (req, res, next) => {
+        try {
+            const fee = await service.deleteFee(req.params.feeId);
+            res.json({ data: fee });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+};
+
+
+const FEE_TRANSACTION_TYPES = ['topup', 'bonus', 'spend', 'transfer'];
+const FEE_TYPES = ['flat', 'percent', 'tiered'];
+
+
+function validateFeeBody(body) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const { asset_type_id, transaction_type, fee_type, flat_amount, percent, tiers } = body;
+
+    if (!asset_type_id || typeof asset_type_id !== 'string') {
+        throw new BadRequestError('asset_type_id is required (UUID string)');
+    }
+    if (!FEE_TRANSACTION_TYPES.includes(transaction_type)) {
+        throw new BadRequestError(`transaction_type must be one of: ${FEE_TRANSACTION_TYPES.join(', ')}`);
+    }
+    if (!FEE_TYPES.includes(fee_type)) {
+        throw new BadRequestError(`fee_type must be one of: ${FEE_TYPES.join(', ')}`);
+    }
+
+    const result = {
+        assetTypeId: asset_type_id.trim(),
+        transactionType: transaction_type,
+        feeType: fee_type,
+    };
+
+    switch (fee_type) {
+        case 'flat':
+            result.flatAmount = parseFeeAmount(flat_amount, 'flat_amount');
+            break;
+        case 'percent':
+            result.percent = parsePercent(percent, 'percent');
+            break;
+        case 'tiered':
+            result.tiers = parseTiers(tiers);
+            break;
+    }
+
+    return result;
+}
+
+
+function parseFeeAmount(value, field) {
+    const exactValue = parseAmount(value);
+    if (!exactValue) {
+        throw new BadRequestError(`${field} must be a positive decimal with at most 8 decimal places`);
+    }
+    return exactValue.toFixed();
+}
+
+
+function parsePercent(value, field) {
+    const exactValue = parseAmount(value);
+    if (!exactValue || exactValue.gte(100) || exactValue.decimalPlaces() > 4) {
+        throw new BadRequestError(`${field} must be a decimal above 0 and below 100 with at most 4 decimal places`);
+    }
+    return exactValue.toFixed();
+}
+
+
+// Tiers ascend by up_to and the last one is open-ended (up_to null). Each tier
+// charges a flat part, a percentage, or both.
+function parseTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > 20) {
+        throw new BadRequestError('tiers must be an array of 1-20 tiers');
+    }
+
+    let previous = new Decimal(0);
+
+    return tiers.map((tier, i) => {
+        if (!tier || typeof tier !== 'object') {
+            throw new BadRequestError(`tiers[${i}] must be an object`);
+        }
+
+        const isLast = i === tiers.length - 1;
+        let upTo = null;
+
+        if (isLast) {
+            if (tier.up_to !== null && tier.up_to !== undefined) {
+                throw new BadRequestError('The last tier must have up_to null');
+            }
+        } else {
+            const exactUpTo = parseAmount(tier.up_to);
+            if (!exactUpTo || exactUpTo.lte(previous)) {
+                throw new BadRequestError(`tiers[${i}].up_to must be a positive decimal above the previous tier's`);
+            }
+            previous = exactUpTo;
+            upTo = exactUpTo.toFixed();
+        }
+
+        if (tier.flat === undefined && tier.percent === undefined) {
+            throw new BadRequestError(`tiers[${i}] must set flat, percent or both`);
+        }
+
+        return {
+            up_to: upTo,
+            flat: tier.flat === undefined ? null : parseFeeAmount(tier.flat, `tiers[${i}].flat`),
+            percent: tier.percent === undefined ? null : parsePercent(tier.percent, `tiers[${i}].percent`),
+        };
+    });
+}
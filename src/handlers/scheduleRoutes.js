@@ -0,0 +1,171 @@
+'use strict';
+
+const { Router } = require('express');
+const ScheduleService = require('../services/ScheduleService');
+const ScheduleRepository = require('../repositories/ScheduleRepository');
+const WalletRepository = require('../repositories/WalletRepository');
+const AssetRepository = require('../repositories/AssetRepository');
+const { BadRequestError, ForbiddenError } = require('../errors/ApiError');
+const { authorize, ROLE_PERMISSIONS } = require('../middleware/auth');
+const { parseAmount } = require('../utils/decimal');
+const { queryParam } = require('../utils/requestParams');
+
+
+module.exports = function scheduleRoutes(pool) {
+    const router = Router();
+
+
+    const scheduleRepo = new ScheduleRepository(pool);
+    const walletRepo = new WalletRepository(pool);
+    const assetRepo = new AssetRepository(pool);
+
+    const service = new ScheduleService({ scheduleRepo, walletRepo, assetRepo });
+
+
+    router.get('/schedules', authorize('schedules:manage'), async (req, res, next) => {
+        try {
+            const status = queryParam(req.query, 'status');
+            const walletId = queryParam(req.query, 'wallet_id');
+            if (status !== undefined && !SCHEDULE_STATUSES.includes(status)) {
+                throw new BadRequestError(`status must be one of: ${SCHEDULE_STATUSES.join(', ')}`);
+            }
+
+            const schedules = await service.listSchedules({
+                status: status || null,
+                walletId: walletId || null,
+            });
+            res.json({ schedules });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/schedules', authorize('schedules:manage'), async (req, res, next) => {
+        try {
+            const body = validateScheduleBody(req.body, req.principal);
+            const schedule = await service.createSchedule(body);
+            res.status(201).json({ data: schedule });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/schedules/:scheduleId', authorize('schedules:manage'), async (req, res, next) => {
+        try {
+            const schedule = await service.getSchedule(req.params.scheduleId);
+            res.json({ data: schedule });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    for (const action of ['pause', 'resume', 'cancel']) {
+        router.post(`/schedules/:scheduleId/${action}`, authorize('schedules:manage'), async (req, res, next) => {
+            try {
+                const schedule = await service.changeScheduleStatus(req.params.scheduleId, action);
+                res.json({ data: schedule });
+            } catch (err) {
+                next(err);
+            }
+        });
+    }
+
+    return router;
+};
+
+
+const OPERATIONS = ['topup', 'bonus', 'transfer'];
+const SCHEDULE_STATUSES = ['active', 'paused', 'cancelled', 'completed', 'failed'];
+
+
+function validateScheduleBody(body, principal) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const {
+        operation,
+        wallet_id,
+        to_wallet_id,
+        asset_type_id,
+        amount,
+        reference,
+        metadata,
+        run_at,
+        cron,
+        timezone = 'UTC',
+    } = body;
+
+    if (!OPERATIONS.includes(operation)) {
+        throw new BadRequestError(`operation must be one of: ${OPERATIONS.join(', ')}`);
+    }
+
+    // A schedule runs with its creator's authority, so the creator must hold the
+    // permission for the operation it will perform.
+    const granted = ROLE_PERMISSIONS[principal.role] || [];
+    if (!granted.includes(`funds:${operation}`)) {
+        throw new ForbiddenError(`Role ${principal.role} lacks permission funds:${operation}`);
+    }
+
+    if (!wallet_id || typeof wallet_id !== 'string') {
+        throw new BadRequestError('wallet_id is required (UUID string)');
+    }
+
+    if (operation === 'transfer') {
+        if (!to_wallet_id || typeof to_wallet_id !== 'string') {
+            throw new BadRequestError('to_wallet_id is required for transfer schedules');
+        }
+    } else if (to_wallet_id !== undefined) {
+        throw new BadRequestError('to_wallet_id is only allowed for transfer schedules');
+    }
+
+    if (!asset_type_id || typeof asset_type_id !== 'string') {
+        throw new BadRequestError('asset_type_id is required (UUID string)');
+    }
+
+    const exactAmount = parseAmount(amount);
+    if (!exactAmount) {
+        throw new BadRequestError('amount must be a positive decimal with at most 8 decimal places');
+    }
+
+    if (!reference || typeof reference !== 'string' || reference.trim() === '') {
+        throw new BadRequestError('reference is required (e.g., "PERK-DAILY-DIAMONDS")');
+    }
+
+    if ((run_at === undefined) === (cron === undefined)) {
+        throw new BadRequestError('Provide exactly one of run_at (one-shot) or cron (recurring)');
+    }
+
+    let runAt = null;
+    if (run_at !== undefined) {
+        runAt = typeof run_at === 'string' ? new Date(run_at) : null;
+        if (!runAt || isNaN(runAt.getTime())) {
+            throw new BadRequestError('run_at must be an ISO-8601 timestamp');
+        }
+    }
+
+    if (cron !== undefined && (typeof cron !== 'string' || cron.trim() === '')) {
+        throw new BadRequestError('cron must be a cron expression (e.g., "0 9 * * *")');
+    }
+
+    if (typeof timezone !== 'string') {
+        throw new BadRequestError('timezone must be an IANA timezone name (e.g., "Europe/Berlin")');
+    }
+
+    return {
+        operation,
+        walletId: wallet_id.trim(),
+        toWalletId: operation === 'transfer' ? to_wallet_id.trim() : null,
+        assetTypeId: asset_type_id.trim(),
+        amount: exactAmount.toFixed(),
+        reference: reference.trim(),
+        metadata: metadata || null,
+        runAt,
+        cronExpression: cron !== undefined ? cron.trim() : null,
+        timezone,
+        createdBy: principal.actor,
+    };
+}
@@ -0,0 +1,164 @@
+'use strict';
+
+const { Router } = require('express');
+const SpendingLimitService = require('../services/SpendingLimitService');
+const SpendingLimitRepository = require('../repositories/SpendingLimitRepository');
+const WalletRepository = require('../repositories/WalletRepository');
+const AssetRepository = require('../repositories/AssetRepository');
+const { BadRequestError } = require('../errors/ApiError');
+const { authorize } = require('../middleware/auth');
+const { parseAmount } = require('../utils/decimal');
+const { queryParam } = require('../utils/requestParams');
+
+
+module.exports = function spendingLimitRoutes(pool) {
+    const router = Router();
+
+
+    const spendingLimitRepo = new SpendingLimitRepository(pool);
+    const walletRepo = new WalletRepository(pool);
+    const assetRepo = new AssetRepository(pool);
+
+    const service = new SpendingLimitService({ spendingLimitRepo, walletRepo, assetRepo });
+
+
+    router.get('/spending-limits', authorize('limits:manage'), async (req, res, next) => {
+        try {
+            const limits = await service.listLimits({
+                walletId: queryParam(req.query, 'wallet_id') || null,
+                includeInactive: req.query.include_inactive === 'true',
+            });
+            res.json({ limits });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/spending-limits', authorize('limits:manage'), async (req, res, next) => {
+        try {
+            const body = validateLimitBody(req.body);
+            const limit = await service.createLimit({
+                ...body,
+                createdBy: req.principal.actor,
+            });
+            res.status(201).json({ data: limit });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/spending-limits/:limitId', authorize('limits:manage'), async (req, res, next) => {
+        try {
+            const limit = await service.getLimit(req.params.limitId);
+            res.json({ data: limit });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.delete('/spending-limits/:limitId', authorize('limits:manage'), async (req, res, next) => {
+        try {
+            const limit = await service.deleteLimit(req.params.limitId);
+            res.json({ data: limit });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+};
+
+
+const OWNER_TYPES = ['user', 'system'];
+const PERIODS = ['hour', 'day'];
+
+
+function validateLimitBody(body) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const {
+        wallet_id,
+        owner_type,
+        asset_type_id,
+        max_per_transaction,
+        period,
+        max_amount_per_period,
+        max_count_per_period,
+        reason,
+    } = body;
+
+
+    if (wallet_id !== undefined && (typeof wallet_id !== 'string' || wallet_id.trim() === '')) {
+        throw new BadRequestError('wallet_id must be a UUID string');
+    }
+    if (owner_type !== undefined && !OWNER_TYPES.includes(owner_type)) {
+        throw new BadRequestError(`owner_type must be one of: ${OWNER_TYPES.join(', ')}`);
+    }
+    if (asset_type_id !== undefined && (typeof asset_type_id !== 'string' || asset_type_id.trim() === '')) {
+        throw new BadRequestError('asset_type_id must be a UUID string');
+    }
+    if (wallet_id === undefined && owner_type === undefined && asset_type_id === undefined) {
+        throw new BadRequestError('At least one of wallet_id, owner_type or asset_type_id is required');
+    }
+
+
+    const maxPerTransaction = parseOptionalAmount(max_per_transaction, 'max_per_transaction');
+    const maxAmountPerPeriod = parseOptionalAmount(max_amount_per_period, 'max_amount_per_period');
+
+    if (max_count_per_period !== undefined &&
+        (!Number.isInteger(max_count_per_period) || max_count_per_period < 1)) {
+        throw new BadRequestError('max_count_per_period must be a positive integer');
+    }
+
+    if (!maxPerTransaction && !maxAmountPerPeriod && max_count_per_period === undefined) {
+        throw new BadRequestError('At least one of max_per_transaction, max_amount_per_period or max_count_per_period is required');
+    }
+
+    if ((maxPerTransaction || maxAmountPerPeriod) && asset_type_id === undefined) {
+        throw new BadRequestError('Amount limits require asset_type_id');
+    }
+
+
+    const hasPeriodLimit = maxAmountPerPeriod !== null || max_count_per_period !== undefined;
+    if (hasPeriodLimit && !PERIODS.includes(period)) {
+        throw new BadRequestError(`period must be one of: ${PERIODS.join(', ')}`);
+    }
+    if (!hasPeriodLimit && period !== undefined) {
+        throw new BadRequestError('period requires max_amount_per_period or max_count_per_period');
+    }
+
+
+    if (reason !== undefined && typeof reason !== 'string') {
+        throw new BadRequestError('reason must be a string');
+    }
+
+    return {
+        walletId: wallet_id ? wallet_id.trim() : null,
+        ownerType: owner_type || null,
+        assetTypeId: asset_type_id ? asset_type_id.trim() : null,
+        maxPerTransaction,
+        period: hasPeriodLimit ? period : null,
+        maxAmountPerPeriod,
+        maxCountPerPeriod: max_count_per_period ?? null,
+        reason: reason ? reason.trim() : null,
+    };
+}
+
+
+function parseOptionalAmount(value, field) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    const exactValue = parseAmount(value);
+    if (!exactValue) {
+        throw new BadRequestError(`${field} must be a positive decimal`);
+    }
+
+    return exactValue.toFixed();
+}
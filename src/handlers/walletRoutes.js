@@ -7,10 +7,21 @@ const LedgerRepository = require('../repositories/LedgerRepository');
 const TransactionRepository = require('../repositories/TransactionRepository');
 const AssetRepository = require('../repositories/AssetRepository');
 const IdempotencyRepository = require('../repositories/IdempotencyRepository');
+const OutboxRepository = require('../repositories/OutboxRepository');
+const HoldRepository = require('../repositories/HoldRepository');
+const CreditLotRepository = require('../repositories/CreditLotRepository');
+const SpendingLimitRepository = require('../repositories/SpendingLimitRepository');
+const ExchangeRateRepository = require('../repositories/ExchangeRateRepository');
+const ExchangeQuoteRepository = require('../repositories/ExchangeQuoteRepository');
+const FeeRepository = require('../repositories/FeeRepository');
+const CreditLineRepository = require('../repositories/CreditLineRepository');
 const { BadRequestError } = require('../errors/ApiError');
+const { authorize, ROLES } = require('../middleware/auth');
+const { parseAmount } = require('../utils/decimal');
+const { queryParam, requireIdempotencyKey } = require('../utils/requestParams');
 
 
-module.exports = function walletRoutes(pool) {
+module.exports = function walletRoutes(pool, { eventHub }) {
     const router = Router();
 
 
@@ -19,6 +30,14 @@ module.exports = function walletRoutes(pool) {
     const txRepo = new TransactionRepository(pool);
     const assetRepo = new AssetRepository(pool);
     const idemRepo = new IdempotencyRepository(pool);
+    const outboxRepo = new OutboxRepository(pool);
+    const holdRepo = new HoldRepository(pool);
+    const creditLotRepo = new CreditLotRepository(pool);
+    const spendingLimitRepo = new SpendingLimitRepository(pool);
+    const exchangeRateRepo = new ExchangeRateRepository(pool);
+    const exchangeQuoteRepo = new ExchangeQuoteRepository(pool);
+    const feeRepo = new FeeRepository(pool);
+    const creditLineRepo = new CreditLineRepository(pool);
 
 
     const service = new WalletService({
@@ -27,32 +46,70 @@ module.exports = function walletRoutes(pool) {
         txRepo,
         assetRepo,
         idemRepo,
+        outboxRepo,
+        holdRepo,
+        creditLotRepo,
+        spendingLimitRepo,
+        exchangeRateRepo,
+        exchangeQuoteRepo,
+        feeRepo,
+        creditLineRepo,
+        eventHub,
     });
 
 
-    router.get('/assets', async (req, res, next) => {
+    router.get('/wallets', authorize('wallets:list'), async (req, res, next) => {
         try {
-            const assets = await service.listAssets();
-            res.json({ assets });
+            const wallets = await service.listWallets({ ownerScope: ownerScopeOf(req.principal) });
+            res.json({ wallets });
         } catch (err) {
             next(err);
         }
     });
 
 
-    router.get('/wallets', async (req, res, next) => {
+    router.post('/wallets', authorize('wallets:create'), async (req, res, next) => {
         try {
-            const wallets = await service.listWallets();
-            res.json({ wallets });
+            const body = validateCreateWalletBody(req.body);
+            const wallet = await service.createWallet(body);
+            res.status(201).json({ data: wallet });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.patch('/wallets/:walletId', authorize('wallets:manage'), async (req, res, next) => {
+        try {
+            const body = validateUpdateWalletBody(req.body);
+            const wallet = await service.updateWallet(req.params.walletId, body);
+            res.json({ data: wallet });
         } catch (err) {
             next(err);
         }
     });
 
 
-    router.get('/wallets/:walletId/balance', async (req, res, next) => {
+    for (const action of ['freeze', 'unfreeze', 'close']) {
+        router.post(`/wallets/:walletId/${action}`, authorize('wallets:manage'), async (req, res, next) => {
+            try {
+                const body = validateStatusChangeBody(req.body, action, req.principal);
+                const result = await service.changeWalletStatus(req.params.walletId, action, body);
+                res.json({ data: result });
+            } catch (err) {
+                next(err);
+            }
+        });
+    }
+
+
+    router.get('/wallets/:walletId/balance', authorize('wallets:read'), async (req, res, next) => {
         try {
-            const result = await service.getBalance(req.params.walletId);
+            const asOf = parseTimestampParam(queryParam(req.query, 'as_of'), 'as_of');
+            const result = await service.getBalance(req.params.walletId, {
+                asOf,
+                ownerScope: ownerScopeOf(req.principal),
+            });
             res.json(result);
         } catch (err) {
             next(err);
@@ -60,12 +117,14 @@ module.exports = function walletRoutes(pool) {
     });
 
 
-    router.get('/wallets/:walletId/transactions', async (req, res, next) => {
+    router.get('/wallets/:walletId/transactions', authorize('wallets:read'), async (req, res, next) => {
         try {
-            const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || '20', 10)));
-            const offset = Math.max(0, parseInt(req.query.offset || '0', 10));
+            const query = validateHistoryQuery(req.query);
 
-            const result = await service.getTransactions(req.params.walletId, { limit, offset });
+            const result = await service.getTransactions(req.params.walletId, {
+                ...query,
+                ownerScope: ownerScopeOf(req.principal),
+            });
             res.json(result);
         } catch (err) {
             next(err);
@@ -73,10 +132,90 @@ module.exports = function walletRoutes(pool) {
     });
 
 
-    router.post('/wallets/:walletId/topup', async (req, res, next) => {
+    router.get('/wallets/:walletId/events', authorize('wallets:read'), async (req, res, next) => {
+        const { walletId } = req.params;
+        const ownerScope = ownerScopeOf(req.principal);
+        let cursor = req.get('Last-Event-ID') || null;
+
+        // Subscribe before replaying so nothing committed during the replay is missed;
+        // live events are held until the replay finishes, then de-duplicated against it.
+        let pending = [];
+        const replayed = new Set();
+        let unsubscribe = null;
+        let heartbeat = null;
+
+        const cleanup = () => {
+            clearInterval(heartbeat);
+            if (unsubscribe) unsubscribe();
+        };
+
+        try {
+            unsubscribe = await eventHub.subscribe(walletId, {
+                onEvent: (event) => {
+                    if (pending) {
+                        pending.push(event);
+                    } else {
+                        writeSseEvent(res, event);
+                    }
+                },
+                onReset: () => {
+                    cleanup();
+                    res.end();
+                },
+            });
+            req.on('close', cleanup);
+
+            let page = await service.getActivityAfter(walletId, {
+                cursor,
+                limit: SSE_REPLAY_PAGE_SIZE,
+                ownerScope,
+            });
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no',
+            });
+            res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+            heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+            while (page.length > 0) {
+                for (const event of page) {
+                    replayed.add(event.id);
+                    writeSseEvent(res, event);
+                }
+
+                if (page.length < SSE_REPLAY_PAGE_SIZE) break;
+
+                cursor = page[page.length - 1].event_id;
+                page = await service.getActivityAfter(walletId, {
+                    cursor,
+                    limit: SSE_REPLAY_PAGE_SIZE,
+                    ownerScope,
+                });
+            }
+
+            for (const event of pending) {
+                if (!replayed.has(event.id)) writeSseEvent(res, event);
+            }
+            pending = null;
+        } catch (err) {
+            cleanup();
+            if (res.headersSent) {
+                res.end();
+            } else {
+                next(err);
+            }
+        }
+    });
+
+
+    router.post('/wallets/:walletId/topup', authorize('funds:topup'), async (req, res, next) => {
         try {
             const idemKey = requireIdempotencyKey(req);
-            const body = validateTransferBody(req.body);
+            const body = validateTransferBody(req.body, req.principal);
             const endpoint = `topup:${req.params.walletId}`;
 
             const { data, fromCache } = await service.topUp(
@@ -96,10 +235,10 @@ module.exports = function walletRoutes(pool) {
     });
 
 
-    router.post('/wallets/:walletId/bonus', async (req, res, next) => {
+    router.post('/wallets/:walletId/bonus', authorize('funds:bonus'), async (req, res, next) => {
         try {
             const idemKey = requireIdempotencyKey(req);
-            const body = validateTransferBody(req.body);
+            const body = validateBonusBody(req.body, req.principal);
             const endpoint = `bonus:${req.params.walletId}`;
 
             const { data, fromCache } = await service.bonus(
@@ -119,10 +258,13 @@ module.exports = function walletRoutes(pool) {
     });
 
 
-    router.post('/wallets/:walletId/spend', async (req, res, next) => {
+    router.post('/wallets/:walletId/spend', authorize('funds:spend'), async (req, res, next) => {
         try {
             const idemKey = requireIdempotencyKey(req);
-            const body = validateTransferBody(req.body);
+            const body = {
+                ...validateTransferBody(req.body, req.principal),
+                ownerScope: ownerScopeOf(req.principal),
+            };
             const endpoint = `spend:${req.params.walletId}`;
 
             const { data, fromCache } = await service.spend(
@@ -141,31 +283,389 @@ module.exports = function walletRoutes(pool) {
         }
     });
 
+
+    router.post('/wallets/:walletId/transfer', authorize('funds:transfer'), async (req, res, next) => {
+        try {
+            const idemKey = requireIdempotencyKey(req);
+            const body = {
+                ...validatePeerTransferBody(req.body, req.principal),
+                ownerScope: ownerScopeOf(req.principal),
+            };
+            const endpoint = `transfer:${req.params.walletId}`;
+
+            const { data, fromCache } = await service.transfer(
+                req.params.walletId,
+                body,
+                idemKey,
+                endpoint
+            );
+
+            res.status(fromCache ? 200 : 201).json({
+                data,
+                from_cache: fromCache,
+            });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/wallets/:walletId/exchange/quotes', authorize('funds:exchange'), async (req, res, next) => {
+        try {
+            const body = validateExchangeBody(req.body, req.principal, { requireQuoteAssets: true });
+            const quote = await service.createExchangeQuote(req.params.walletId, {
+                ...body,
+                ownerScope: ownerScopeOf(req.principal),
+            });
+            res.status(201).json({ data: quote });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/wallets/:walletId/exchange', authorize('funds:exchange'), async (req, res, next) => {
+        try {
+            const idemKey = requireIdempotencyKey(req);
+            const body = {
+                ...validateExchangeBody(req.body, req.principal, { requireQuoteAssets: false }),
+                ownerScope: ownerScopeOf(req.principal),
+            };
+            const endpoint = `exchange:${req.params.walletId}`;
+
+            const { data, fromCache } = await service.exchange(
+                req.params.walletId,
+                body,
+                idemKey,
+                endpoint
+            );
+
+            res.status(fromCache ? 200 : 201).json({
+                data,
+                from_cache: fromCache,
+            });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/wallets/:walletId/holds', authorize('wallets:read'), async (req, res, next) => {
+        try {
+            const status = queryParam(req.query, 'status');
+            if (status !== undefined && !HOLD_STATUSES.includes(status)) {
+                throw new BadRequestError(`status must be one of: ${HOLD_STATUSES.join(', ')}`);
+            }
+
+            const result = await service.listHolds(req.params.walletId, {
+                status: status || null,
+                ownerScope: ownerScopeOf(req.principal),
+            });
+            res.json(result);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/wallets/:walletId/credit-lots', authorize('wallets:read'), async (req, res, next) => {
+        try {
+            const status = queryParam(req.query, 'status');
+            if (status !== undefined && !CREDIT_LOT_STATUSES.includes(status)) {
+                throw new BadRequestError(`status must be one of: ${CREDIT_LOT_STATUSES.join(', ')}`);
+            }
+
+            const result = await service.listCreditLots(req.params.walletId, {
+                status: status || null,
+                ownerScope: ownerScopeOf(req.principal),
+            });
+            res.json(result);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/wallets/:walletId/holds', authorize('funds:hold'), async (req, res, next) => {
+        try {
+            const idemKey = requireIdempotencyKey(req);
+            const body = validateHoldBody(req.body, req.principal);
+            const endpoint = `hold:${req.params.walletId}`;
+
+            const { data, fromCache } = await service.createHold(
+                req.params.walletId,
+                body,
+                idemKey,
+                endpoint
+            );
+
+            res.status(fromCache ? 200 : 201).json({
+                data,
+                from_cache: fromCache,
+            });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/holds/:holdId', authorize('wallets:read'), async (req, res, next) => {
+        try {
+            const hold = await service.getHold(req.params.holdId, {
+                ownerScope: ownerScopeOf(req.principal),
+            });
+            res.json({ data: hold });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/holds/:holdId/capture', authorize('funds:hold'), async (req, res, next) => {
+        try {
+            const idemKey = requireIdempotencyKey(req);
+            const body = validatePartialAmountBody(req.body, req.principal);
+            const endpoint = `capture:${req.params.holdId}`;
+
+            const { data, fromCache } = await service.captureHold(
+                req.params.holdId,
+                body,
+                idemKey,
+                endpoint
+            );
+
+            res.status(fromCache ? 200 : 201).json({
+                data,
+                from_cache: fromCache,
+            });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/holds/:holdId/void', authorize('funds:hold'), async (req, res, next) => {
+        try {
+            const hold = await service.voidHold(req.params.holdId);
+            res.json({ data: hold });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/treasury/supply', authorize('supply:read'), async (req, res, next) => {
+        try {
+            const supply = await service.getSupplyReport({
+                assetTypeId: queryParam(req.query, 'asset_type_id') || null,
+            });
+            res.json({ supply });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    for (const operation of ['mint', 'burn']) {
+        router.post(`/treasury/${operation}`, authorize('supply:manage'), async (req, res, next) => {
+            try {
+                const idemKey = requireIdempotencyKey(req);
+                const { assetTypeId, ...body } = validateTransferBody(req.body, req.principal);
+
+                const { data, fromCache } = await service[operation](
+                    assetTypeId,
+                    body,
+                    idemKey,
+                    `treasury:${operation}`
+                );
+
+                res.status(fromCache ? 200 : 201).json({
+                    data,
+                    from_cache: fromCache,
+                });
+            } catch (err) {
+                next(err);
+            }
+        });
+    }
+
+
+    const FUNDING_OPERATIONS = {
+        'fund-bonus-pool': 'fundBonusPool',
+        'fund-market-maker': 'fundMarketMaker',
+    };
+
+    for (const [operation, method] of Object.entries(FUNDING_OPERATIONS)) {
+        router.post(`/treasury/${operation}`, authorize('supply:manage'), async (req, res, next) => {
+            try {
+                const idemKey = requireIdempotencyKey(req);
+                const { assetTypeId, ...body } = validateTransferBody(req.body, req.principal);
+
+                const { data, fromCache } = await service[method](
+                    assetTypeId,
+                    body,
+                    idemKey,
+                    `treasury:${operation}`
+                );
+
+                res.status(fromCache ? 200 : 201).json({
+                    data,
+                    from_cache: fromCache,
+                });
+            } catch (err) {
+                next(err);
+            }
+        });
+    }
+
+
+    router.get('/transactions', authorize('transactions:read'), async (req, res, next) => {
+        try {
+            const reference = queryParam(req.query, 'reference');
+            if (!reference) {
+                throw new BadRequestError('reference query parameter is required');
+            }
+
+            const transactions = await service.findTransactionsByReference(reference, {
+                ownerScope: ownerScopeOf(req.principal),
+            });
+            res.json({ transactions });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/transactions', authorize('transactions:create'), async (req, res, next) => {
+        try {
+            const idemKey = requireIdempotencyKey(req);
+            const body = validateMultiLegBody(req.body, req.principal);
+
+            const { data, fromCache } = await service.createMultiLegTransaction(
+                body,
+                idemKey,
+                'transactions'
+            );
+
+            res.status(fromCache ? 200 : 201).json({
+                data,
+                from_cache: fromCache,
+            });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/transactions/:transactionId', authorize('transactions:read'), async (req, res, next) => {
+        try {
+            const transaction = await service.getTransaction(req.params.transactionId, {
+                ownerScope: ownerScopeOf(req.principal),
+            });
+            res.json({ data: transaction });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/transactions/:transactionId/reverse', authorize('transactions:reverse'), async (req, res, next) => {
+        try {
+            const idemKey = requireIdempotencyKey(req);
+            const body = validatePartialAmountBody(req.body, req.principal);
+            const endpoint = `reverse:${req.params.transactionId}`;
+
+            const { data, fromCache } = await service.reverse(
+                req.params.transactionId,
+                body,
+                idemKey,
+                endpoint
+            );
+
+            res.status(fromCache ? 200 : 201).json({
+                data,
+                from_cache: fromCache,
+            });
+        } catch (err) {
+            next(err);
+        }
+    });
+
     return router;
 };
 
 
-function requireIdempotencyKey(req) {
-    const key = req.headers['idempotency-key'];
+function ownerScopeOf(principal) {
+    return principal.role === ROLES.PLAYER ? principal.subject : null;
+}
+
+
+const SSE_REPLAY_PAGE_SIZE = 200;
+const SSE_HEARTBEAT_MS = 15000;
+const SSE_RETRY_MS = 3000;
+
+
+function writeSseEvent(res, { event_id, ...entry }) {
+    if (res.writableEnded) return;
+    res.write(`id: ${event_id}\nevent: ledger_entry\ndata: ${JSON.stringify(entry)}\n\n`);
+}
+
+
+const DIRECTIONS = ['debit', 'credit'];
+
+
+function validateHistoryQuery(query) {
+    const limit = queryParam(query, 'limit') || '20';
+    const cursor = queryParam(query, 'cursor');
+    const asset_type_id = queryParam(query, 'asset_type_id');
+    const direction = queryParam(query, 'direction');
+    const transaction_type = queryParam(query, 'transaction_type');
+    const reference = queryParam(query, 'reference');
+    const from = queryParam(query, 'from');
+    const to = queryParam(query, 'to');
 
-    if (!key || key.trim() === '') {
-        throw new BadRequestError('Idempotency-Key header is required');
+    const parsedLimit = parseInt(limit, 10);
+    if (isNaN(parsedLimit)) {
+        throw new BadRequestError('limit must be an integer');
     }
 
-    if (key.length > 255) {
-        throw new BadRequestError('Idempotency-Key must be 255 characters or fewer');
+    if (direction !== undefined && !DIRECTIONS.includes(direction)) {
+        throw new BadRequestError(`direction must be one of: ${DIRECTIONS.join(', ')}`);
     }
 
-    return key.trim();
+    return {
+        limit: Math.max(1, Math.min(100, parsedLimit)),
+        cursor: cursor || null,
+        filters: {
+            assetTypeId: asset_type_id,
+            direction,
+            transactionType: transaction_type,
+            reference,
+            from: parseTimestampParam(from, 'from'),
+            to: parseTimestampParam(to, 'to'),
+        },
+    };
 }
 
 
-function validateTransferBody(body) {
+function parseTimestampParam(value, name) {
+    if (value === undefined) return null;
+
+    const timestamp = Date.parse(value);
+    if (typeof value !== 'string' || isNaN(timestamp)) {
+        throw new BadRequestError(`${name} must be an ISO-8601 timestamp`);
+    }
+
+    return new Date(timestamp).toISOString();
+}
+
+
+function validateTransferBody(body, principal) {
     if (!body || typeof body !== 'object') {
         throw new BadRequestError('Request body must be a JSON object');
     }
 
-    const { asset_type_id, amount, reference, initiated_by, metadata } = body;
+    const { asset_type_id, amount, reference, metadata } = body;
 
 
     if (!asset_type_id || typeof asset_type_id !== 'string') {
@@ -177,9 +677,9 @@ function validateTransferBody(body) {
         throw new BadRequestError('amount is required');
     }
 
-    const numAmount = parseFloat(amount);
-    if (isNaN(numAmount) || numAmount <= 0) {
-        throw new BadRequestError('amount must be a positive number');
+    const exactAmount = parseAmount(amount);
+    if (!exactAmount) {
+        throw new BadRequestError('amount must be a positive decimal with at most 8 decimal places');
     }
 
     if (!reference || typeof reference !== 'string' || reference.trim() === '') {
@@ -188,9 +688,273 @@ function validateTransferBody(body) {
 
     return {
         assetTypeId: asset_type_id.trim(),
-        amount: numAmount,
+        amount: exactAmount.toFixed(),
         reference: reference.trim(),
-        initiatedBy: initiated_by || 'system',
+        initiatedBy: principal.actor,
         metadata: metadata || null,
     };
+}
+
+
+const CREDIT_LOT_STATUSES = ['active', 'consumed', 'expired'];
+const MAX_CREDIT_EXPIRY_DAYS = 3650;
+
+
+function validateBonusBody(body, principal) {
+    const bonus = validateTransferBody(body, principal);
+    const { expires_in_days } = body;
+
+    if (expires_in_days === undefined || expires_in_days === null) {
+        return bonus;
+    }
+
+    if (!Number.isInteger(expires_in_days) || expires_in_days < 1 || expires_in_days > MAX_CREDIT_EXPIRY_DAYS) {
+        throw new BadRequestError(`expires_in_days must be an integer between 1 and ${MAX_CREDIT_EXPIRY_DAYS}`);
+    }
+
+    return {
+        ...bonus,
+        expiresInDays: expires_in_days,
+    };
+}
+
+
+const HOLD_STATUSES = ['active', 'captured', 'voided', 'expired'];
+const DEFAULT_HOLD_TTL_SECONDS = 15 * 60;
+const MAX_HOLD_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+
+function validateHoldBody(body, principal) {
+    const hold = validateTransferBody(body, principal);
+    const { expires_in_seconds = DEFAULT_HOLD_TTL_SECONDS } = body;
+
+    if (!Number.isInteger(expires_in_seconds) || expires_in_seconds < 1 || expires_in_seconds > MAX_HOLD_TTL_SECONDS) {
+        throw new BadRequestError(`expires_in_seconds must be an integer between 1 and ${MAX_HOLD_TTL_SECONDS}`);
+    }
+
+    return {
+        ...hold,
+        expiresInSeconds: expires_in_seconds,
+    };
+}
+
+
+const MAX_LEGS = 50;
+
+
+function validateMultiLegBody(body, principal) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const { legs, reference, metadata } = body;
+
+    if (!Array.isArray(legs) || legs.length < 2 || legs.length > MAX_LEGS) {
+        throw new BadRequestError(`legs must be an array of 2-${MAX_LEGS} entries`);
+    }
+
+    const validatedLegs = legs.map((leg, i) => {
+        if (!leg || typeof leg !== 'object') {
+            throw new BadRequestError(`legs[${i}] must be an object`);
+        }
+
+        const { wallet_id, asset_type_id, direction, amount } = leg;
+
+        if (!wallet_id || typeof wallet_id !== 'string') {
+            throw new BadRequestError(`legs[${i}].wallet_id is required (UUID string)`);
+        }
+        if (!asset_type_id || typeof asset_type_id !== 'string') {
+            throw new BadRequestError(`legs[${i}].asset_type_id is required (UUID string)`);
+        }
+        if (!DIRECTIONS.includes(direction)) {
+            throw new BadRequestError(`legs[${i}].direction must be "debit" or "credit"`);
+        }
+
+        const exactAmount = parseAmount(amount);
+        if (!exactAmount) {
+            throw new BadRequestError(`legs[${i}].amount must be a positive decimal with at most 8 decimal places`);
+        }
+
+        return {
+            walletId: wallet_id.trim(),
+            assetTypeId: asset_type_id.trim(),
+            direction,
+            amount: exactAmount.toFixed(),
+        };
+    });
+
+    if (!reference || typeof reference !== 'string' || reference.trim() === '') {
+        throw new BadRequestError('reference is required (e.g., "SHOP-ORDER-881")');
+    }
+
+    return {
+        legs: validatedLegs,
+        reference: reference.trim(),
+        initiatedBy: principal.actor,
+        metadata: metadata || null,
+    };
+}
+
+
+function validatePeerTransferBody(body, principal) {
+    const transfer = validateTransferBody(body, principal);
+    const { to_wallet_id } = body;
+
+    if (!to_wallet_id || typeof to_wallet_id !== 'string') {
+        throw new BadRequestError('to_wallet_id is required (UUID string)');
+    }
+
+    return {
+        ...transfer,
+        toWalletId: to_wallet_id.trim(),
+    };
+}
+
+
+// Quotes need the asset pair and amount. An exchange takes either a quote_id or
+// the same fields, in which case it is quoted and executed in one go.
+function validateExchangeBody(body, principal, { requireQuoteAssets }) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const { quote_id, from_asset_type_id, to_asset_type_id, amount, reference, metadata } = body;
+
+    if (reference !== undefined && (typeof reference !== 'string' || reference.trim() === '')) {
+        throw new BadRequestError('reference must be a non-empty string');
+    }
+
+    const common = {
+        reference: reference ? reference.trim() : null,
+        initiatedBy: principal.actor,
+        metadata: metadata || null,
+    };
+
+    if (!requireQuoteAssets && quote_id !== undefined) {
+        if (typeof quote_id !== 'string' || quote_id.trim() === '') {
+            throw new BadRequestError('quote_id must be a UUID string');
+        }
+        if (from_asset_type_id !== undefined || to_asset_type_id !== undefined || amount !== undefined) {
+            throw new BadRequestError('Provide either quote_id or from_asset_type_id, to_asset_type_id and amount, not both');
+        }
+        return { ...common, quoteId: quote_id.trim() };
+    }
+
+    if (!from_asset_type_id || typeof from_asset_type_id !== 'string') {
+        throw new BadRequestError('from_asset_type_id is required (UUID string)');
+    }
+    if (!to_asset_type_id || typeof to_asset_type_id !== 'string') {
+        throw new BadRequestError('to_asset_type_id is required (UUID string)');
+    }
+
+    const exactAmount = parseAmount(amount);
+    if (!exactAmount) {
+        throw new BadRequestError('amount must be a positive decimal with at most 8 decimal places');
+    }
+
+    return {
+        ...common,
+        fromAssetTypeId: from_asset_type_id.trim(),
+        toAssetTypeId: to_asset_type_id.trim(),
+        amount: exactAmount.toFixed(),
+    };
+}
+
+
+// Reversals and hold captures: amount and reference are optional and default
+// to what remains of the original.
+function validatePartialAmountBody(body, principal) {
+    if (body !== undefined && (body === null || typeof body !== 'object')) {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const { amount, reference, metadata } = body || {};
+
+    let exactAmount;
+    if (amount !== undefined && amount !== null) {
+        exactAmount = parseAmount(amount);
+        if (!exactAmount) {
+            throw new BadRequestError('amount must be a positive decimal with at most 8 decimal places');
+        }
+    }
+
+    if (reference !== undefined && (typeof reference !== 'string' || reference.trim() === '')) {
+        throw new BadRequestError('reference must be a non-empty string');
+    }
+
+    return {
+        amount: exactAmount ? exactAmount.toFixed() : undefined,
+        reference: reference ? reference.trim() : undefined,
+        initiatedBy: principal.actor,
+        metadata: metadata || null,
+    };
+}
+
+
+// System wallets are a fixed set created by the seed and migrations; the API
+// only opens wallets for users.
+const OWNER_TYPES = ['user'];
+
+
+function validateCreateWalletBody(body) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const { owner_ref, owner_type = 'user', label } = body;
+
+    if (!owner_ref || typeof owner_ref !== 'string' || owner_ref.trim() === '') {
+        throw new BadRequestError('owner_ref is required (e.g., "user:alice")');
+    }
+
+    if (owner_ref.trim().startsWith('system:')) {
+        throw new BadRequestError('owner_ref may not use the reserved "system:" prefix');
+    }
+
+    if (!OWNER_TYPES.includes(owner_type)) {
+        throw new BadRequestError(`owner_type must be one of: ${OWNER_TYPES.join(', ')}`);
+    }
+
+    if (!label || typeof label !== 'string' || label.trim() === '') {
+        throw new BadRequestError('label is required');
+    }
+
+    return {
+        ownerRef: owner_ref.trim(),
+        ownerType: owner_type,
+        label: label.trim(),
+    };
+}
+
+
+function validateUpdateWalletBody(body) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const { label } = body;
+
+    if (!label || typeof label !== 'string' || label.trim() === '') {
+        throw new BadRequestError('label is required');
+    }
+
+    return { label: label.trim() };
+}
+
+
+function validateStatusChangeBody(body, action, principal) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const { reason } = body;
+
+    if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+        throw new BadRequestError(`reason is required to ${action} a wallet`);
+    }
+
+    return {
+        performedBy: principal.actor,
+        reason: reason.trim(),
+    };
 }
\ No newline at end of file
@@ -0,0 +1,112 @@
+'use strict';
+
+const { Router } = require('express');
+const WebhookService = require('../services/WebhookService');
+const WebhookRepository = require('../repositories/WebhookRepository');
+const { BadRequestError } = require('../errors/ApiError');
+const { authorize } = require('../middleware/auth');
+
+
+module.exports = function webhookRoutes(pool) {
+    const router = Router();
+
+
+    const webhookRepo = new WebhookRepository(pool);
+
+    const service = new WebhookService({ webhookRepo });
+
+
+    router.get('/webhooks', authorize('webhooks:manage'), async (req, res, next) => {
+        try {
+            const subscriptions = await service.listSubscriptions();
+            res.json({ subscriptions });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/webhooks', authorize('webhooks:manage'), async (req, res, next) => {
+        try {
+            const body = validateSubscriptionBody(req.body);
+            const subscription = await service.createSubscription({
+                ...body,
+                createdBy: req.principal.actor,
+            });
+            res.status(201).json({ data: subscription });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.delete('/webhooks/:subscriptionId', authorize('webhooks:manage'), async (req, res, next) => {
+        try {
+            const subscription = await service.deleteSubscription(req.params.subscriptionId);
+            res.json({ data: subscription });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.get('/webhooks/dead-letters', authorize('webhooks:manage'), async (req, res, next) => {
+        try {
+            const limit = Math.max(1, Math.min(200, parseInt(req.query.limit || '50', 10) || 50));
+            const deliveries = await service.listDeadLetters({ limit });
+            res.json({ deliveries });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+
+    router.post('/webhooks/deliveries/:deliveryId/retry', authorize('webhooks:manage'), async (req, res, next) => {
+        try {
+            const delivery = await service.retryDelivery(req.params.deliveryId);
+            res.json({ data: delivery });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+};
+
+
+function validateSubscriptionBody(body) {
+    if (!body || typeof body !== 'object') {
+        throw new BadRequestError('Request body must be a JSON object');
+    }
+
+    const { url, events, description = '' } = body;
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (err) {
+        throw new BadRequestError('url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new BadRequestError('url must be an absolute http(s) URL');
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new BadRequestError(`events must be a non-empty array of: ${WebhookService.EVENT_TYPES.join(', ')}`);
+    }
+
+    const unknown = events.filter(e => !WebhookService.EVENT_TYPES.includes(e));
+    if (unknown.length > 0) {
+        throw new BadRequestError(`Unknown event type(s): ${unknown.join(', ')}`);
+    }
+
+    if (typeof description !== 'string') {
+        throw new BadRequestError('description must be a string');
+    }
+
+    return {
+        url: parsedUrl.toString(),
+        eventTypes: [...new Set(events)],
+        description: description.trim(),
+    };
+}
@@ -0,0 +1,212 @@
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+const ApiKeyRepository = require('../repositories/ApiKeyRepository');
+const { UnauthorizedError, ForbiddenError } = require('../errors/ApiError');
+
+
+const ROLES = {
+    GAME_SERVER: 'game_server',
+    SUPPORT_AGENT: 'support_agent',
+    FINANCE_ADMIN: 'finance_admin',
+    PLAYER: 'player',
+};
+
+
+const ROLE_PERMISSIONS = {
+    [ROLES.GAME_SERVER]: [
+        'assets:read',
+        'wallets:list',
+        'wallets:read',
+        'wallets:create',
+        'funds:topup',
+        'funds:bonus',
+        'funds:spend',
+        'funds:transfer',
+        'funds:hold',
+        'funds:exchange',
+        'transactions:read',
+        'transactions:create',
+        'webhooks:manage',
+        'schedules:manage',
+    ],
+    [ROLES.SUPPORT_AGENT]: [
+        'assets:read',
+        'wallets:list',
+        'wallets:read',
+        'wallets:create',
+        'wallets:manage',
+        'transactions:read',
+        'transactions:reverse',
+        'limits:manage',
+        'supply:read',
+    ],
+    [ROLES.FINANCE_ADMIN]: [
+        'assets:read',
+        'assets:manage',
+        'wallets:list',
+        'wallets:read',
+        'wallets:create',
+        'wallets:manage',
+        'funds:topup',
+        'funds:bonus',
+        'transactions:read',
+        'transactions:create',
+        'transactions:reverse',
+        'ledger:verify',
+        'webhooks:manage',
+        'schedules:manage',
+        'limits:manage',
+        'rates:manage',
+        'fees:manage',
+        'supply:read',
+        'supply:manage',
+        'credit:manage',
+    ],
+    [ROLES.PLAYER]: [
+        'assets:read',
+        'wallets:list',
+        'wallets:read',
+        'funds:spend',
+        'funds:transfer',
+        'funds:exchange',
+        'transactions:read',
+    ],
+};
+
+
+function authenticate(pool) {
+    const apiKeyRepo = new ApiKeyRepository(pool);
+
+    return async (req, res, next) => {
+        try {
+            const apiKey = req.headers['x-api-key'];
+            const authHeader = req.headers.authorization || '';
+
+            if (apiKey) {
+                req.principal = await principalFromApiKey(apiKeyRepo, apiKey.trim());
+            } else if (authHeader.startsWith('Bearer ')) {
+                req.principal = principalFromToken(authHeader.slice('Bearer '.length).trim());
+            } else {
+                throw new UnauthorizedError('Provide an X-API-Key header or a Bearer token');
+            }
+
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+
+function authorize(permission) {
+    return (req, res, next) => {
+        if (!req.principal) {
+            return next(new UnauthorizedError());
+        }
+
+        const granted = ROLE_PERMISSIONS[req.principal.role] || [];
+        if (!granted.includes(permission)) {
+            return next(new ForbiddenError(`Role ${req.principal.role} lacks permission ${permission}`));
+        }
+
+        next();
+    };
+}
+
+
+async function principalFromApiKey(apiKeyRepo, key) {
+    const record = await apiKeyRepo.getActiveByKey(key);
+    if (!record) {
+        throw new UnauthorizedError('Invalid API key');
+    }
+
+    return {
+        role: record.role,
+        subject: record.subject,
+        actor: record.subject,
+        via: 'api_key',
+        credentialId: record.id,
+    };
+}
+
+
+function principalFromToken(token) {
+    if (!config.AUTH_TOKEN_SECRET) {
+        throw new UnauthorizedError('Token authentication is not configured');
+    }
+
+    const claims = verifyToken(token, config.AUTH_TOKEN_SECRET);
+
+    if (config.AUTH_TOKEN_ISSUER && claims.iss !== config.AUTH_TOKEN_ISSUER) {
+        throw new UnauthorizedError('Token issuer is not trusted');
+    }
+
+    if (!ROLE_PERMISSIONS[claims.role]) {
+        throw new UnauthorizedError('Token role is not recognised');
+    }
+
+    if (!claims.sub || typeof claims.sub !== 'string') {
+        throw new UnauthorizedError('Token subject is missing');
+    }
+
+    return {
+        role: claims.role,
+        subject: claims.sub,
+        actor: claims.sub,
+        via: 'token',
+        credentialId: claims.jti || null,
+    };
+}
+
+
+// Compact HS256 JWT verification: header.payload.signature, all base64url.
+function verifyToken(token, secret) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new UnauthorizedError('Malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new UnauthorizedError('Malformed token');
+    }
+
+    if (header.alg !== 'HS256') {
+        throw new UnauthorizedError('Unsupported token algorithm');
+    }
+
+    const expected = crypto
+        .createHmac('sha256', secret)
+        .update(`${encodedHeader}.${encodedPayload}`)
+        .digest();
+    const provided = Buffer.from(signature, 'base64url');
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        throw new UnauthorizedError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp <= now) {
+        throw new UnauthorizedError('Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf > now) {
+        throw new UnauthorizedError('Token is not yet valid');
+    }
+
+    return claims;
+}
+
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    authenticate,
+    authorize,
+};
@@ -9,6 +9,7 @@ const errorHandler = (err, req, res, next) => {
         return res.status(err.statusCode).json({
             error: err.message,
             statusCode: err.statusCode,
+            ...(err.details && { details: err.details }),
         });
     }
 
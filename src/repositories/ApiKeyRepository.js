@@ -0,0 +1,58 @@
+'use strict';
+
+const crypto = require('crypto');
+
+class ApiKeyRepository {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+
+    static generateKey() {
+        return `dw_${crypto.randomBytes(32).toString('base64url')}`;
+    }
+
+
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+
+    async getActiveByKey(key) {
+        const { rows } = await this.pool.query(`
+      SELECT id, name, key_prefix, role, subject, is_active, created_at
+      FROM api_keys
+      WHERE key_hash = $1
+        AND is_active = TRUE
+    `, [ApiKeyRepository.hashKey(key)]);
+        return rows[0] || null;
+    }
+
+
+    async create({ name, role, subject }) {
+        const key = ApiKeyRepository.generateKey();
+
+        const { rows } = await this.pool.query(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, role, subject)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, name, key_prefix, role, subject, is_active, created_at
+    `, [name, key.slice(0, 10), ApiKeyRepository.hashKey(key), role, subject]);
+
+        return { ...rows[0], key };
+    }
+
+
+    async revoke(name) {
+        const { rows } = await this.pool.query(`
+      UPDATE api_keys
+      SET is_active  = FALSE,
+          revoked_at = NOW()
+      WHERE name = $1
+        AND is_active = TRUE
+      RETURNING id, name, key_prefix, role, subject, is_active, revoked_at
+    `, [name]);
+        return rows[0] || null;
+    }
+}
+
+module.exports = ApiKeyRepository;
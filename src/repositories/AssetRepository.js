@@ -1,5 +1,42 @@
 'use strict';
 
+const { formatAmount } = require('../utils/decimal');
+
+const ASSET_COLUMNS = `
+  id, name, symbol, description, is_active,
+  decimal_places, min_transfer_amount, max_transfer_amount,
+  low_balance_threshold, supply_cap, bonus_pool_overdraft_limit,
+  bonus_pool_low_watermark, created_at, updated_at
+`;
+
+
+const UPDATABLE_FIELDS = {
+    name: 'name',
+    symbol: 'symbol',
+    description: 'description',
+    decimalPlaces: 'decimal_places',
+    minTransferAmount: 'min_transfer_amount',
+    maxTransferAmount: 'max_transfer_amount',
+    lowBalanceThreshold: 'low_balance_threshold',
+    supplyCap: 'supply_cap',
+    bonusPoolOverdraftLimit: 'bonus_pool_overdraft_limit',
+    bonusPoolLowWatermark: 'bonus_pool_low_watermark',
+};
+
+
+function toAsset(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        min_transfer_amount: formatAmount(row.min_transfer_amount),
+        max_transfer_amount: formatAmount(row.max_transfer_amount),
+        low_balance_threshold: formatAmount(row.low_balance_threshold),
+        supply_cap: formatAmount(row.supply_cap),
+        bonus_pool_overdraft_limit: formatAmount(row.bonus_pool_overdraft_limit),
+        bonus_pool_low_watermark: formatAmount(row.bonus_pool_low_watermark),
+    };
+}
+
 class AssetRepository {
     constructor(pool) {
         this.pool = pool;
@@ -8,23 +45,105 @@ class AssetRepository {
 
     async listActive() {
         const { rows } = await this.pool.query(`
-      SELECT id, name, symbol, description, is_active, created_at
+      SELECT ${ASSET_COLUMNS}
       FROM asset_types
       WHERE is_active = TRUE
       ORDER BY name
     `);
-        return rows;
+        return rows.map(toAsset);
     }
 
 
     async getById(id) {
         const { rows } = await this.pool.query(`
-      SELECT id, name, symbol, description, is_active
+      SELECT ${ASSET_COLUMNS}
+      FROM asset_types
+      WHERE id = $1
+    `, [id]);
+        return toAsset(rows[0]);
+    }
+
+
+    async getBySymbol(symbol) {
+        const { rows } = await this.pool.query(`
+      SELECT ${ASSET_COLUMNS}
+      FROM asset_types
+      WHERE symbol = $1
+    `, [symbol]);
+        return toAsset(rows[0]);
+    }
+
+
+    async create({ name, symbol, description = '', decimalPlaces = 8, minTransferAmount = null, maxTransferAmount = null, lowBalanceThreshold = null, supplyCap = null, bonusPoolOverdraftLimit = null, bonusPoolLowWatermark = null }) {
+        const { rows } = await this.pool.query(`
+      INSERT INTO asset_types
+        (name, symbol, description, decimal_places, min_transfer_amount, max_transfer_amount,
+         low_balance_threshold, supply_cap, bonus_pool_overdraft_limit, bonus_pool_low_watermark)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING ${ASSET_COLUMNS}
+    `, [
+            name,
+            symbol,
+            description,
+            decimalPlaces,
+            minTransferAmount,
+            maxTransferAmount,
+            lowBalanceThreshold,
+            supplyCap,
+            bonusPoolOverdraftLimit,
+            bonusPoolLowWatermark,
+        ]);
+        return toAsset(rows[0]);
+    }
+
+
+    async update(id, changes) {
+        const assignments = [];
+        const values = [id];
+
+        for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+            if (changes[field] !== undefined) {
+                values.push(changes[field]);
+                assignments.push(`${column} = $${values.length}`);
+            }
+        }
+
+        if (assignments.length === 0) {
+            return this.getById(id);
+        }
+
+        const { rows } = await this.pool.query(`
+      UPDATE asset_types
+      SET ${assignments.join(', ')}
+      WHERE id = $1
+      RETURNING ${ASSET_COLUMNS}
+    `, values);
+        return toAsset(rows[0]);
+    }
+
+
+    // FOR SHARE: a concurrent deactivation waits for the caller's transaction
+    // instead of slipping in after it has checked is_active.
+    async lockAssets(client, ...ids) {
+        const { rows } = await client.query(`
+      SELECT ${ASSET_COLUMNS}
       FROM asset_types
+      WHERE id = ANY($1::uuid[])
+      FOR SHARE
+    `, [[...new Set(ids)]]);
+        return Object.fromEntries(rows.map(row => [row.id, toAsset(row)]));
+    }
+
+
+    async deactivate(id) {
+        const { rows } = await this.pool.query(`
+      UPDATE asset_types
+      SET is_active = FALSE
       WHERE id = $1
+      RETURNING ${ASSET_COLUMNS}
     `, [id]);
-        return rows[0] || null;
+        return toAsset(rows[0]);
     }
 }
 
-module.exports = AssetRepository;
\ No newline at end of file
+module.exports = AssetRepository;
@@ -0,0 +1,187 @@
+'use strict';
+
+const { formatAmount } = require('../utils/decimal');
+
+const JOB_COLUMNS = `
+  id, asset_type_id, reference, status,
+  total_rows, succeeded_rows, failed_rows,
+  created_by, created_at, started_at, completed_at
+`;
+
+
+function toRow(row) {
+  return { ...row, amount: formatAmount(row.amount) };
+}
+
+class BonusJobRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async getByIdemKey(idemKey) {
+    const { rows } = await this.pool.query(`
+      SELECT ${JOB_COLUMNS}, request_hash
+      FROM bonus_jobs
+      WHERE idem_key = $1
+    `, [idemKey]);
+
+    return rows[0] || null;
+  }
+
+
+  async getById(id) {
+    const { rows } = await this.pool.query(`
+      SELECT ${JOB_COLUMNS}
+      FROM bonus_jobs
+      WHERE id = $1
+    `, [id]);
+
+    return rows[0] || null;
+  }
+
+
+  async list({ limit = 50 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT ${JOB_COLUMNS}
+      FROM bonus_jobs
+      ORDER BY created_at DESC
+      LIMIT $1
+    `, [limit]);
+
+    return rows;
+  }
+
+
+  // Returns null when another request created a job under the same key first.
+  async create(client, { idemKey, requestHash, assetTypeId, reference, createdBy, rows }) {
+    const { rows: [job] } = await client.query(`
+      INSERT INTO bonus_jobs (idem_key, request_hash, asset_type_id, reference, created_by, total_rows)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (idem_key) DO NOTHING
+      RETURNING ${JOB_COLUMNS}
+    `, [idemKey, requestHash, assetTypeId, reference, createdBy, rows.length]);
+
+    if (!job) return null;
+
+    await client.query(`
+      INSERT INTO bonus_job_rows (job_id, row_number, wallet_id, amount)
+      SELECT $1, r.row_number, r.wallet_id, r.amount
+      FROM unnest($2::int[], $3::uuid[], $4::numeric[]) AS r(row_number, wallet_id, amount)
+    `, [
+      job.id,
+      rows.map(r => r.rowNumber),
+      rows.map(r => r.walletId),
+      rows.map(r => r.amount),
+    ]);
+
+    return job;
+  }
+
+
+  // Picks the oldest unfinished job nobody holds a lease on. An expired lease
+  // means the previous worker died mid-job; its pending rows are resumed.
+  async claimNextJob({ leaseMs }) {
+    const { rows } = await this.pool.query(`
+      UPDATE bonus_jobs
+      SET status      = 'running',
+          lease_until = NOW() + $1::float8 * INTERVAL '1 millisecond',
+          started_at  = COALESCE(started_at, NOW())
+      WHERE id = (
+        SELECT id
+        FROM bonus_jobs
+        WHERE status <> 'completed'
+          AND (lease_until IS NULL OR lease_until < NOW())
+        ORDER BY created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING ${JOB_COLUMNS}
+    `, [leaseMs]);
+
+    return rows[0] || null;
+  }
+
+
+  async getPendingRows(jobId, { limit }) {
+    const { rows } = await this.pool.query(`
+      SELECT row_number, wallet_id, amount
+      FROM bonus_job_rows
+      WHERE job_id = $1
+        AND status = 'pending'
+      ORDER BY row_number
+      LIMIT $2
+    `, [jobId, limit]);
+
+    return rows.map(toRow);
+  }
+
+
+  async recordRowResult(jobId, rowNumber, { status, transactionId = null, error = null }) {
+    await this.pool.query(`
+      UPDATE bonus_job_rows
+      SET status         = $3,
+          transaction_id = $4,
+          error          = $5,
+          processed_at   = NOW()
+      WHERE job_id = $1
+        AND row_number = $2
+        AND status = 'pending'
+    `, [jobId, rowNumber, status, transactionId, error]);
+  }
+
+
+  // Counters are recomputed from the rows rather than incremented, so they stay
+  // right even if a worker died between recording a row and updating the job.
+  async refreshProgress(jobId, { leaseMs }) {
+    const { rows } = await this.pool.query(`
+      WITH counts AS (
+        SELECT
+          COUNT(*) FILTER (WHERE status = 'succeeded') AS succeeded,
+          COUNT(*) FILTER (WHERE status = 'failed')    AS failed,
+          COUNT(*) FILTER (WHERE status = 'pending')   AS pending
+        FROM bonus_job_rows
+        WHERE job_id = $1
+      )
+      UPDATE bonus_jobs j
+      SET succeeded_rows = counts.succeeded,
+          failed_rows    = counts.failed,
+          status         = CASE WHEN counts.pending = 0 THEN 'completed' ELSE j.status END,
+          completed_at   = CASE WHEN counts.pending = 0 THEN NOW() ELSE NULL END,
+          lease_until    = CASE WHEN counts.pending = 0 THEN NULL
+                                ELSE NOW() + $2::float8 * INTERVAL '1 millisecond' END
+      FROM counts
+      WHERE j.id = $1
+      RETURNING ${JOB_COLUMNS}
+    `, [jobId, leaseMs]);
+
+    return rows[0] || null;
+  }
+
+
+  async releaseLease(jobId) {
+    await this.pool.query(`
+      UPDATE bonus_jobs
+      SET lease_until = NULL
+      WHERE id = $1
+        AND status <> 'completed'
+    `, [jobId]);
+  }
+
+
+  async getRows(jobId, { status = null, afterRow = 0, limit = 100 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT row_number, wallet_id, amount, status, transaction_id, error, processed_at
+      FROM bonus_job_rows
+      WHERE job_id = $1
+        AND row_number > $2
+        AND ($3::text IS NULL OR status = $3)
+      ORDER BY row_number
+      LIMIT $4
+    `, [jobId, afterRow, status, limit]);
+
+    return rows.map(toRow);
+  }
+}
+
+module.exports = BonusJobRepository;
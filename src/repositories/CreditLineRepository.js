@@ -0,0 +1,91 @@
+'use strict';
+
+const { Decimal, formatAmount } = require('../utils/decimal');
+
+const CREDIT_LINE_COLUMNS = `
+  cl.wallet_id, w.owner_ref, cl.asset_type_id, at.symbol, cl.credit_limit,
+  cl.reason, cl.created_by, cl.created_at, cl.updated_at
+`;
+
+
+function toCreditLine(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    credit_limit: formatAmount(row.credit_limit),
+  };
+}
+
+class CreditLineRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async list({ walletId = null } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT ${CREDIT_LINE_COLUMNS}, at.name AS asset_name
+      FROM credit_lines cl
+      JOIN wallets      w  ON w.id  = cl.wallet_id
+      JOIN asset_types  at ON at.id = cl.asset_type_id
+      WHERE ($1::uuid IS NULL OR cl.wallet_id = $1)
+      ORDER BY w.owner_ref, at.symbol
+    `, [walletId]);
+
+    return rows.map(toCreditLine);
+  }
+
+
+  async getLimit(client, walletId, assetTypeId) {
+    const { rows } = await client.query(`
+      SELECT credit_limit
+      FROM credit_lines
+      WHERE wallet_id = $1
+        AND asset_type_id = $2
+    `, [walletId, assetTypeId]);
+
+    return new Decimal(rows[0] ? rows[0].credit_limit : 0);
+  }
+
+
+  async upsert(client, { walletId, assetTypeId, creditLimit, reason = null, createdBy }) {
+    const { rows } = await client.query(`
+      WITH saved AS (
+        INSERT INTO credit_lines (wallet_id, asset_type_id, credit_limit, reason, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (wallet_id, asset_type_id) DO UPDATE
+        SET credit_limit = EXCLUDED.credit_limit,
+            reason       = EXCLUDED.reason,
+            created_by   = EXCLUDED.created_by,
+            updated_at   = NOW()
+        RETURNING *
+      )
+      SELECT ${CREDIT_LINE_COLUMNS}
+      FROM saved cl
+      JOIN wallets     w  ON w.id  = cl.wallet_id
+      JOIN asset_types at ON at.id = cl.asset_type_id
+    `, [walletId, assetTypeId, creditLimit, reason, createdBy]);
+
+    return toCreditLine(rows[0]);
+  }
+
+
+  async remove(client, walletId, assetTypeId) {
+    const { rows } = await client.query(`
+      WITH removed AS (
+        DELETE FROM credit_lines
+        WHERE wallet_id = $1
+          AND asset_type_id = $2
+        RETURNING *
+      )
+      SELECT ${CREDIT_LINE_COLUMNS}
+      FROM removed cl
+      JOIN wallets     w  ON w.id  = cl.wallet_id
+      JOIN asset_types at ON at.id = cl.asset_type_id
+    `, [walletId, assetTypeId]);
+
+    return toCreditLine(rows[0]);
+  }
+}
+
+module.exports = CreditLineRepository;
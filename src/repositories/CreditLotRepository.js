@@ -0,0 +1,173 @@
+'use strict';
+
+const { Decimal, formatAmount } = require('../utils/decimal');
+
+// A lot past expires_at reports as expired as soon as the deadline passes, even
+// before the sweeper has moved its remainder back to the bonus pool.
+const LOT_COLUMNS = `
+  id, wallet_id, asset_type_id, transaction_id, amount, remaining_amount, expired_amount,
+  CASE
+    WHEN expired_at IS NOT NULL OR (remaining_amount > 0 AND expires_at <= NOW()) THEN 'expired'
+    WHEN remaining_amount = 0 THEN 'consumed'
+    ELSE 'active'
+  END AS status,
+  expires_at, expired_at, expiry_transaction_id, created_at, updated_at
+`;
+
+
+function toLot(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    amount: formatAmount(row.amount),
+    remaining_amount: formatAmount(row.remaining_amount),
+    expired_amount: formatAmount(row.expired_amount),
+  };
+}
+
+class CreditLotRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async create(client, { walletId, assetTypeId, transactionId, amount, expiresInDays }) {
+    const { rows } = await client.query(`
+      INSERT INTO credit_lots
+        (wallet_id, asset_type_id, transaction_id, amount, remaining_amount, expires_at)
+      VALUES ($1, $2, $3, $4, $4, NOW() + $5 * INTERVAL '1 day')
+      RETURNING ${LOT_COLUMNS}
+    `, [walletId, assetTypeId, transactionId, amount, expiresInDays]);
+
+    return toLot(rows[0]);
+  }
+
+
+  async getById(id) {
+    const { rows } = await this.pool.query(`
+      SELECT ${LOT_COLUMNS}
+      FROM credit_lots
+      WHERE id = $1
+    `, [id]);
+
+    return toLot(rows[0]);
+  }
+
+
+  async listByWallet(walletId, { status = null, limit = 100 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT *
+      FROM (
+        SELECT ${LOT_COLUMNS}
+        FROM credit_lots
+        WHERE wallet_id = $1
+      ) l
+      WHERE ($2::text IS NULL OR l.status = $2)
+      ORDER BY l.expires_at, l.id
+      LIMIT $3
+    `, [walletId, status, limit]);
+
+    return rows.map(toLot);
+  }
+
+
+  // Takes a debit out of the wallet's unexpired lots, soonest-expiring first.
+  // Whatever the lots don't cover comes from non-expiring funds. The caller
+  // must hold the wallet lock.
+  async consume(client, walletId, assetTypeId, amount) {
+    await client.query(`
+      WITH ordered AS (
+        SELECT id, remaining_amount,
+               SUM(remaining_amount) OVER (ORDER BY expires_at, id) - remaining_amount AS consumed_before
+        FROM credit_lots
+        WHERE wallet_id        = $1
+          AND asset_type_id    = $2
+          AND remaining_amount > 0
+          AND expires_at       > NOW()
+      )
+      UPDATE credit_lots l
+      SET remaining_amount = l.remaining_amount - LEAST(o.remaining_amount, $3::numeric - o.consumed_before),
+          updated_at       = NOW()
+      FROM ordered o
+      WHERE l.id = o.id
+        AND o.consumed_before < $3::numeric
+    `, [walletId, assetTypeId, amount]);
+  }
+
+
+  // Credit past its expiry that the sweeper hasn't collected yet. It is no
+  // longer spendable, so it counts against the available balance.
+  async getExpiredAmount(client, walletId, assetTypeId) {
+    const { rows } = await client.query(`
+      SELECT COALESCE(SUM(remaining_amount), 0) AS expired
+      FROM credit_lots
+      WHERE wallet_id        = $1
+        AND asset_type_id    = $2
+        AND remaining_amount > 0
+        AND expires_at       <= NOW()
+    `, [walletId, assetTypeId]);
+
+    return new Decimal(rows[0].expired);
+  }
+
+
+  async getExpiredByWallet(walletId) {
+    const { rows } = await this.pool.query(`
+      SELECT asset_type_id, SUM(remaining_amount) AS expired
+      FROM credit_lots
+      WHERE wallet_id        = $1
+        AND remaining_amount > 0
+        AND expires_at       <= NOW()
+      GROUP BY asset_type_id
+    `, [walletId]);
+
+    return rows.map(r => ({ ...r, expired: formatAmount(r.expired) }));
+  }
+
+
+  async listExpirableIds({ limit }) {
+    const { rows } = await this.pool.query(`
+      SELECT id
+      FROM credit_lots
+      WHERE remaining_amount > 0
+        AND expires_at       <= NOW()
+      ORDER BY expires_at
+      LIMIT $1
+    `, [limit]);
+
+    return rows.map(r => r.id);
+  }
+
+
+  // Returns the lot only while it still has an expired remainder to sweep.
+  async lockExpirable(client, id) {
+    const { rows } = await client.query(`
+      SELECT ${LOT_COLUMNS}
+      FROM credit_lots
+      WHERE id               = $1
+        AND remaining_amount > 0
+        AND expires_at       <= NOW()
+      FOR UPDATE
+    `, [id]);
+
+    return toLot(rows[0]);
+  }
+
+
+  async recordExpiry(client, id, { expiredAmount, transactionId }) {
+    const { rows } = await client.query(`
+      UPDATE credit_lots
+      SET expired_amount        = $2,
+          remaining_amount      = 0,
+          expired_at            = NOW(),
+          expiry_transaction_id = $3,
+          updated_at            = NOW()
+      WHERE id = $1
+      RETURNING ${LOT_COLUMNS}
+    `, [id, expiredAmount, transactionId]);
+
+    return toLot(rows[0]);
+  }
+}
+
+module.exports = CreditLotRepository;
@@ -0,0 +1,80 @@
+'use strict';
+
+const { formatAmount } = require('../utils/decimal');
+
+const QUOTE_COLUMNS = `
+  id, wallet_id, from_asset_type_id, to_asset_type_id, rate_id, rate,
+  from_amount, to_amount,
+  CASE
+    WHEN transaction_id IS NOT NULL THEN 'used'
+    WHEN expires_at <= NOW() THEN 'expired'
+    ELSE 'open'
+  END AS status,
+  expires_at, transaction_id, created_at
+`;
+
+
+function toQuote(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    rate: formatAmount(row.rate),
+    from_amount: formatAmount(row.from_amount),
+    to_amount: formatAmount(row.to_amount),
+  };
+}
+
+class ExchangeQuoteRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async create({ walletId, fromAssetTypeId, toAssetTypeId, rateId, rate, fromAmount, toAmount, ttlSeconds }) {
+    const { rows } = await this.pool.query(`
+      INSERT INTO exchange_quotes
+        (wallet_id, from_asset_type_id, to_asset_type_id, rate_id, rate, from_amount, to_amount, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + $8 * INTERVAL '1 second')
+      RETURNING ${QUOTE_COLUMNS}
+    `, [walletId, fromAssetTypeId, toAssetTypeId, rateId, rate, fromAmount, toAmount, ttlSeconds]);
+
+    return toQuote(rows[0]);
+  }
+
+
+  async getById(id) {
+    const { rows } = await this.pool.query(`
+      SELECT ${QUOTE_COLUMNS}
+      FROM exchange_quotes
+      WHERE id = $1
+    `, [id]);
+
+    return toQuote(rows[0]);
+  }
+
+
+  async lockById(client, id) {
+    const { rows } = await client.query(`
+      SELECT ${QUOTE_COLUMNS}
+      FROM exchange_quotes
+      WHERE id = $1
+      FOR UPDATE
+    `, [id]);
+
+    return toQuote(rows[0]);
+  }
+
+
+  async markUsed(client, id, transactionId) {
+    const { rows } = await client.query(`
+      UPDATE exchange_quotes
+      SET transaction_id = $2
+      WHERE id = $1
+      RETURNING ${QUOTE_COLUMNS}
+    `, [id, transactionId]);
+
+    return toQuote(rows[0]);
+  }
+}
+
+module.exports = ExchangeQuoteRepository;
@@ -0,0 +1,90 @@
+'use strict';
+
+const { formatAmount } = require('../utils/decimal');
+
+const RATE_COLUMNS = `
+  r.id, r.from_asset_type_id, fa.symbol AS from_symbol,
+  r.to_asset_type_id, ta.symbol AS to_symbol,
+  r.rate, r.effective_from, r.created_by, r.created_at
+`;
+
+const RATE_JOINS = `
+  JOIN asset_types fa ON fa.id = r.from_asset_type_id
+  JOIN asset_types ta ON ta.id = r.to_asset_type_id
+`;
+
+
+function toRate(row) {
+  if (!row) return null;
+  return { ...row, rate: formatAmount(row.rate) };
+}
+
+class ExchangeRateRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async create({ fromAssetTypeId, toAssetTypeId, rate, effectiveFrom = null, createdBy }) {
+    const { rows } = await this.pool.query(`
+      WITH inserted AS (
+        INSERT INTO exchange_rates (from_asset_type_id, to_asset_type_id, rate, effective_from, created_by)
+        VALUES ($1, $2, $3, COALESCE($4, NOW()), $5)
+        RETURNING *
+      )
+      SELECT ${RATE_COLUMNS}
+      FROM inserted r
+      ${RATE_JOINS}
+    `, [fromAssetTypeId, toAssetTypeId, rate, effectiveFrom, createdBy]);
+
+    return toRate(rows[0]);
+  }
+
+
+  // The rate in force for the pair: the latest one whose effective_from has passed.
+  async getCurrent(fromAssetTypeId, toAssetTypeId) {
+    const { rows } = await this.pool.query(`
+      SELECT ${RATE_COLUMNS}
+      FROM exchange_rates r
+      ${RATE_JOINS}
+      WHERE r.from_asset_type_id = $1
+        AND r.to_asset_type_id   = $2
+        AND r.effective_from    <= NOW()
+      ORDER BY r.effective_from DESC, r.created_at DESC
+      LIMIT 1
+    `, [fromAssetTypeId, toAssetTypeId]);
+
+    return toRate(rows[0]);
+  }
+
+
+  async listCurrent() {
+    const { rows } = await this.pool.query(`
+      SELECT DISTINCT ON (r.from_asset_type_id, r.to_asset_type_id) ${RATE_COLUMNS}
+      FROM exchange_rates r
+      ${RATE_JOINS}
+      WHERE r.effective_from <= NOW()
+      ORDER BY r.from_asset_type_id, r.to_asset_type_id, r.effective_from DESC, r.created_at DESC
+    `);
+
+    return rows.map(toRate);
+  }
+
+
+  // Every rate set for the pair, scheduled ones included, newest first.
+  async listForPair(fromAssetTypeId, toAssetTypeId, { limit = 100 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT ${RATE_COLUMNS}
+      FROM exchange_rates r
+      ${RATE_JOINS}
+      WHERE r.from_asset_type_id = $1
+        AND r.to_asset_type_id   = $2
+      ORDER BY r.effective_from DESC, r.created_at DESC
+      LIMIT $3
+    `, [fromAssetTypeId, toAssetTypeId, limit]);
+
+    return rows.map(toRate);
+  }
+}
+
+module.exports = ExchangeRateRepository;
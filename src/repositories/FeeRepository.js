@@ -0,0 +1,109 @@
+'use strict';
+
+const { formatAmount } = require('../utils/decimal');
+
+const FEE_COLUMNS = `
+  f.id, f.asset_type_id, at.symbol, f.transaction_type, f.fee_type,
+  f.flat_amount, f.percent, f.tiers, f.is_active, f.created_by, f.created_at, f.updated_at
+`;
+
+
+function toFeeSchedule(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    flat_amount: formatAmount(row.flat_amount),
+    percent: formatAmount(row.percent),
+  };
+}
+
+class FeeRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async list({ includeInactive = false } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT ${FEE_COLUMNS}
+      FROM fee_schedules f
+      JOIN asset_types at ON at.id = f.asset_type_id
+      WHERE $1 OR f.is_active = TRUE
+      ORDER BY at.symbol, f.transaction_type, f.created_at DESC
+    `, [includeInactive]);
+
+    return rows.map(toFeeSchedule);
+  }
+
+
+  async getActive(assetTypeId, transactionType) {
+    const { rows } = await this.pool.query(`
+      SELECT ${FEE_COLUMNS}
+      FROM fee_schedules f
+      JOIN asset_types at ON at.id = f.asset_type_id
+      WHERE f.asset_type_id    = $1
+        AND f.transaction_type = $2
+        AND f.is_active        = TRUE
+    `, [assetTypeId, transactionType]);
+
+    return toFeeSchedule(rows[0]);
+  }
+
+
+  async retireActive(client, assetTypeId, transactionType) {
+    await client.query(`
+      UPDATE fee_schedules
+      SET is_active  = FALSE,
+          updated_at = NOW()
+      WHERE asset_type_id    = $1
+        AND transaction_type = $2
+        AND is_active        = TRUE
+    `, [assetTypeId, transactionType]);
+  }
+
+
+  async create(client, { assetTypeId, transactionType, feeType, flatAmount = null, percent = null, tiers = null, createdBy }) {
+    const { rows } = await client.query(`
+      WITH inserted AS (
+        INSERT INTO fee_schedules
+          (asset_type_id, transaction_type, fee_type, flat_amount, percent, tiers, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      )
+      SELECT ${FEE_COLUMNS}
+      FROM inserted f
+      JOIN asset_types at ON at.id = f.asset_type_id
+    `, [
+      assetTypeId,
+      transactionType,
+      feeType,
+      flatAmount,
+      percent,
+      tiers ? JSON.stringify(tiers) : null,
+      createdBy,
+    ]);
+
+    return toFeeSchedule(rows[0]);
+  }
+
+
+  async deactivate(id) {
+    const { rows } = await this.pool.query(`
+      WITH updated AS (
+        UPDATE fee_schedules
+        SET is_active  = FALSE,
+            updated_at = NOW()
+        WHERE id = $1
+          AND is_active = TRUE
+        RETURNING *
+      )
+      SELECT ${FEE_COLUMNS}
+      FROM updated f
+      JOIN asset_types at ON at.id = f.asset_type_id
+    `, [id]);
+
+    return toFeeSchedule(rows[0]);
+  }
+}
+
+module.exports = FeeRepository;
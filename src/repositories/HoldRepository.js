@@ -0,0 +1,146 @@
+'use strict';
+
+const { Decimal, formatAmount } = require('../utils/decimal');
+
+const HOLD_COLUMNS = `
+  id, wallet_id, asset_type_id, amount, captured_amount,
+  amount - captured_amount AS remaining_amount,
+  CASE WHEN status = 'active' AND expires_at <= NOW() THEN 'expired' ELSE status END AS status,
+  reference, initiated_by, metadata, expires_at, created_at, updated_at
+`;
+
+
+function toHold(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    amount: formatAmount(row.amount),
+    captured_amount: formatAmount(row.captured_amount),
+    remaining_amount: formatAmount(row.remaining_amount),
+  };
+}
+
+class HoldRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async create(client, { walletId, assetTypeId, amount, reference, initiatedBy, metadata = null, expiresInSeconds }) {
+    const { rows } = await client.query(`
+      INSERT INTO holds
+        (wallet_id, asset_type_id, amount, reference, initiated_by, metadata, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW() + $7 * INTERVAL '1 second')
+      RETURNING ${HOLD_COLUMNS}
+    `, [
+      walletId,
+      assetTypeId,
+      amount,
+      reference,
+      initiatedBy,
+      metadata ? JSON.stringify(metadata) : null,
+      expiresInSeconds,
+    ]);
+
+    return toHold(rows[0]);
+  }
+
+
+  async getById(id) {
+    const { rows } = await this.pool.query(`
+      SELECT ${HOLD_COLUMNS}
+      FROM holds
+      WHERE id = $1
+    `, [id]);
+
+    return toHold(rows[0]);
+  }
+
+
+  async lockById(client, id) {
+    const { rows } = await client.query(`
+      SELECT ${HOLD_COLUMNS}
+      FROM holds
+      WHERE id = $1
+      FOR UPDATE
+    `, [id]);
+
+    return toHold(rows[0]);
+  }
+
+
+  async listByWallet(walletId, { status = null, limit = 100 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT *
+      FROM (
+        SELECT ${HOLD_COLUMNS}
+        FROM holds
+        WHERE wallet_id = $1
+      ) h
+      WHERE ($2::text IS NULL OR h.status = $2)
+      ORDER BY h.created_at DESC
+      LIMIT $3
+    `, [walletId, status, limit]);
+
+    return rows.map(toHold);
+  }
+
+
+  // Amount still reserved by unexpired holds; this is what spends and transfers
+  // may not touch.
+  async getHeldAmount(client, walletId, assetTypeId) {
+    const { rows } = await client.query(`
+      SELECT COALESCE(SUM(amount - captured_amount), 0) AS held
+      FROM holds
+      WHERE wallet_id     = $1
+        AND asset_type_id = $2
+        AND status        = 'active'
+        AND expires_at    > NOW()
+    `, [walletId, assetTypeId]);
+
+    return new Decimal(rows[0].held);
+  }
+
+
+  async getHeldByWallet(walletId) {
+    const { rows } = await this.pool.query(`
+      SELECT asset_type_id, SUM(amount - captured_amount) AS held
+      FROM holds
+      WHERE wallet_id  = $1
+        AND status     = 'active'
+        AND expires_at > NOW()
+      GROUP BY asset_type_id
+    `, [walletId]);
+
+    return rows.map(r => ({ ...r, held: formatAmount(r.held) }));
+  }
+
+
+  async recordCapture(client, id, amount) {
+    const { rows } = await client.query(`
+      UPDATE holds
+      SET captured_amount = captured_amount + $2::numeric,
+          status          = CASE WHEN captured_amount + $2::numeric >= amount THEN 'captured' ELSE status END,
+          updated_at      = NOW()
+      WHERE id = $1
+      RETURNING ${HOLD_COLUMNS}
+    `, [id, amount]);
+
+    return toHold(rows[0]);
+  }
+
+
+  async void(client, id) {
+    const { rows } = await client.query(`
+      UPDATE holds
+      SET status     = 'voided',
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${HOLD_COLUMNS}
+    `, [id]);
+
+    return toHold(rows[0]);
+  }
+}
+
+module.exports = HoldRepository;
@@ -33,6 +33,17 @@ class IdempotencyRepository {
   }
 
 
+  async getByTransactionId(transactionId) {
+    const { rows } = await this.pool.query(`
+      SELECT idem_key, endpoint, expires_at, created_at
+      FROM idempotency_keys
+      WHERE transaction_id = $1
+    `, [transactionId]);
+
+    return rows[0] || null;
+  }
+
+
   async store(client, { idemKey, endpoint, requestHash, responseStatus, responseBody, transactionId }) {
     await client.query(`
       INSERT INTO idempotency_keys
@@ -1,5 +1,29 @@
 'use strict';
 
+const { BadRequestError } = require('../errors/ApiError');
+const { Decimal, formatAmount } = require('../utils/decimal');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const HISTORY_COLUMNS = `
+  le.id,
+  le.transaction_id,
+  le.wallet_id,
+  le.asset_type_id,
+  at.name    AS asset_name,
+  at.symbol,
+  le.direction,
+  le.amount,
+  le.balance_after,
+  le.created_at,
+  to_char(le.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_ts,
+  t.transaction_type,
+  t.reference,
+  t.gross_amount,
+  t.fee_amount,
+  t.net_amount
+`;
+
 class LedgerRepository {
   constructor(pool) {
     this.pool = pool;
@@ -9,90 +33,457 @@ class LedgerRepository {
   async getBalance(walletId) {
     const { rows } = await this.pool.query(`
       SELECT
-        le.asset_type_id,
+        wb.asset_type_id,
         at.name    AS asset_name,
         at.symbol,
-        SUM(
-          CASE WHEN le.direction = 'credit' THEN le.amount
-               ELSE -le.amount END
-        ) AS balance
-      FROM ledger_entries le
-      JOIN asset_types    at ON at.id = le.asset_type_id
-      WHERE le.wallet_id = $1
-      GROUP BY le.asset_type_id, at.name, at.symbol
-      HAVING SUM(
-        CASE WHEN le.direction = 'credit' THEN le.amount
-             ELSE -le.amount END
-      ) != 0
+        wb.balance
+      FROM wallet_balances wb
+      JOIN asset_types     at ON at.id = wb.asset_type_id
+      WHERE wb.wallet_id = $1
+        AND wb.balance  != 0
       ORDER BY at.name
     `, [walletId]);
-    return rows;
+    return rows.map(r => ({ ...r, balance: formatAmount(r.balance) }));
   }
 
 
   async getBalanceForAsset(client, walletId, assetTypeId) {
     const { rows } = await client.query(`
-      SELECT COALESCE(
-        SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END),
-        0
-      ) AS balance
-      FROM ledger_entries
+      SELECT balance
+      FROM wallet_balances
       WHERE wallet_id = $1
         AND asset_type_id = $2
     `, [walletId, assetTypeId]);
 
-    return parseFloat(rows[0].balance);
+    return new Decimal(rows[0] ? rows[0].balance : 0);
+  }
+
+
+  async getNonZeroBalances(client, walletId) {
+    const { rows } = await client.query(`
+      SELECT wb.asset_type_id, at.symbol, wb.balance
+      FROM wallet_balances wb
+      JOIN asset_types     at ON at.id = wb.asset_type_id
+      WHERE wb.wallet_id = $1
+        AND wb.balance  != 0
+    `, [walletId]);
+
+    return rows.map(r => ({ ...r, balance: formatAmount(r.balance) }));
   }
 
 
   async insertEntry(client, { transactionId, walletId, assetTypeId, direction, amount }) {
+    const { rows: [walletBalance] } = await client.query(`
+      INSERT INTO wallet_balances (wallet_id, asset_type_id, balance)
+      VALUES ($1, $2, CASE WHEN $3 = 'credit' THEN $4::numeric ELSE -$4::numeric END)
+      ON CONFLICT (wallet_id, asset_type_id) DO UPDATE
+      SET balance    = wallet_balances.balance + EXCLUDED.balance,
+          updated_at = NOW()
+      RETURNING balance
+    `, [walletId, assetTypeId, direction, amount]);
+
+    // clock_timestamp() rather than NOW(): the wallet is locked at this point, so
+    // entries for a wallet are timestamped in the order their balances were applied.
     const { rows } = await client.query(`
       INSERT INTO ledger_entries
-        (transaction_id, wallet_id, asset_type_id, direction, amount)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, created_at
-    `, [transactionId, walletId, assetTypeId, direction, amount]);
+        (transaction_id, wallet_id, asset_type_id, direction, amount, balance_after, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, clock_timestamp())
+      RETURNING id, balance_after, created_at,
+        to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_ts
+    `, [transactionId, walletId, assetTypeId, direction, amount, walletBalance.balance]);
 
     return rows[0];
   }
 
 
-  async getHistory(walletId, { limit = 20, offset = 0 } = {}) {
+  async getBalanceAsOf(walletId, asOf) {
+    const { rows } = await this.pool.query(`
+      SELECT *
+      FROM (
+        SELECT DISTINCT ON (le.asset_type_id)
+          le.asset_type_id,
+          at.name          AS asset_name,
+          at.symbol,
+          le.balance_after AS balance
+        FROM ledger_entries le
+        JOIN asset_types    at ON at.id = le.asset_type_id
+        WHERE le.wallet_id   = $1
+          AND le.created_at <= $2
+        ORDER BY le.asset_type_id, le.created_at DESC, le.id DESC
+      ) latest
+      WHERE balance != 0
+      ORDER BY asset_name
+    `, [walletId, asOf]);
+    return rows.map(r => ({ ...r, balance: formatAmount(r.balance) }));
+  }
+
+
+  async backfillRunningBalances(client) {
+    const { rowCount } = await client.query(`
+      UPDATE ledger_entries le
+      SET balance_after = r.running_balance
+      FROM (
+        SELECT
+          id,
+          SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+            OVER (PARTITION BY wallet_id, asset_type_id ORDER BY created_at, id) AS running_balance
+        FROM ledger_entries
+      ) r
+      WHERE r.id = le.id
+        AND le.balance_after IS DISTINCT FROM r.running_balance
+    `);
+
+    return rowCount;
+  }
+
+
+  async getBalanceDrift(client) {
+    const { rows } = await client.query(`
+      WITH computed AS (
+        SELECT
+          wallet_id,
+          asset_type_id,
+          SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END) AS balance
+        FROM ledger_entries
+        GROUP BY wallet_id, asset_type_id
+      )
+      SELECT
+        COALESCE(c.wallet_id, wb.wallet_id)         AS wallet_id,
+        COALESCE(c.asset_type_id, wb.asset_type_id) AS asset_type_id,
+        COALESCE(wb.balance, 0)                     AS stored_balance,
+        COALESCE(c.balance, 0)                      AS ledger_balance
+      FROM computed c
+      FULL OUTER JOIN wallet_balances wb
+        ON wb.wallet_id = c.wallet_id
+       AND wb.asset_type_id = c.asset_type_id
+      WHERE COALESCE(wb.balance, 0) != COALESCE(c.balance, 0)
+      ORDER BY 1, 2
+    `);
+
+    return rows.map(r => ({
+      ...r,
+      stored_balance: formatAmount(r.stored_balance),
+      ledger_balance: formatAmount(r.ledger_balance),
+    }));
+  }
+
+
+  async rebuildBalances(client) {
+    await client.query('LOCK TABLE wallet_balances IN EXCLUSIVE MODE');
+
+    const drift = await this.getBalanceDrift(client);
+
+    await client.query('DELETE FROM wallet_balances');
+    await client.query(`
+      INSERT INTO wallet_balances (wallet_id, asset_type_id, balance)
+      SELECT
+        wallet_id,
+        asset_type_id,
+        SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)
+      FROM ledger_entries
+      GROUP BY wallet_id, asset_type_id
+    `);
+
+    return drift;
+  }
+
+
+  async findUnbalancedTransactions(client) {
+    const { rows } = await client.query(`
+      SELECT
+        le.transaction_id,
+        t.transaction_type,
+        le.asset_type_id,
+        SUM(CASE WHEN le.direction = 'debit'  THEN le.amount ELSE 0 END) AS total_debits,
+        SUM(CASE WHEN le.direction = 'credit' THEN le.amount ELSE 0 END) AS total_credits
+      FROM ledger_entries le
+      LEFT JOIN transactions t ON t.id = le.transaction_id
+      GROUP BY le.transaction_id, t.transaction_type, le.asset_type_id
+      HAVING SUM(CASE WHEN le.direction = 'debit'  THEN le.amount ELSE 0 END)
+          != SUM(CASE WHEN le.direction = 'credit' THEN le.amount ELSE 0 END)
+      ORDER BY le.transaction_id
+    `);
+
+    return rows.map(r => ({
+      ...r,
+      total_debits: formatAmount(r.total_debits),
+      total_credits: formatAmount(r.total_credits),
+    }));
+  }
+
+
+  async findUnbalancedAssets(client) {
+    const { rows } = await client.query(`
+      SELECT
+        le.asset_type_id,
+        at.symbol,
+        SUM(CASE WHEN le.direction = 'credit' THEN le.amount ELSE -le.amount END) AS net_supply
+      FROM ledger_entries le
+      JOIN asset_types    at ON at.id = le.asset_type_id
+      GROUP BY le.asset_type_id, at.symbol
+      HAVING SUM(CASE WHEN le.direction = 'credit' THEN le.amount ELSE -le.amount END) != 0
+      ORDER BY at.symbol
+    `);
+
+    return rows.map(r => ({ ...r, net_supply: formatAmount(r.net_supply) }));
+  }
+
+
+  async findOrphanEntries(client) {
+    const { rows } = await client.query(`
+      SELECT le.id, le.transaction_id, le.wallet_id, le.asset_type_id, le.direction, le.amount
+      FROM ledger_entries le
+      LEFT JOIN transactions t ON t.id  = le.transaction_id
+      LEFT JOIN wallets      w ON w.id  = le.wallet_id
+      LEFT JOIN asset_types at ON at.id = le.asset_type_id
+      WHERE t.id IS NULL OR w.id IS NULL OR at.id IS NULL
+      ORDER BY le.created_at
+    `);
+
+    return rows.map(r => ({ ...r, amount: formatAmount(r.amount) }));
+  }
+
+
+  async findTransactionsWithoutEntries(client) {
+    const { rows } = await client.query(`
+      SELECT t.id AS transaction_id, t.transaction_type, t.reference, t.created_at
+      FROM transactions t
+      WHERE NOT EXISTS (
+        SELECT 1 FROM ledger_entries le WHERE le.transaction_id = t.id
+      )
+      ORDER BY t.created_at
+    `);
+
+    return rows;
+  }
+
+
+  // A user wallet may be negative only as far as its credit line allows.
+  async findNegativeUserBalances(client) {
+    const { rows } = await client.query(`
+      SELECT
+        le.wallet_id,
+        w.owner_ref,
+        le.asset_type_id,
+        at.symbol,
+        SUM(CASE WHEN le.direction = 'credit' THEN le.amount ELSE -le.amount END) AS balance,
+        COALESCE(cl.credit_limit, 0) AS credit_limit
+      FROM ledger_entries le
+      JOIN wallets        w  ON w.id  = le.wallet_id
+      JOIN asset_types    at ON at.id = le.asset_type_id
+      LEFT JOIN credit_lines cl
+        ON cl.wallet_id = le.wallet_id AND cl.asset_type_id = le.asset_type_id
+      WHERE w.owner_type = 'user'
+      GROUP BY le.wallet_id, w.owner_ref, le.asset_type_id, at.symbol, cl.credit_limit
+      HAVING SUM(CASE WHEN le.direction = 'credit' THEN le.amount ELSE -le.amount END) < -COALESCE(cl.credit_limit, 0)
+      ORDER BY w.owner_ref, at.symbol
+    `);
+
+    return rows.map(r => ({
+      ...r,
+      balance: formatAmount(r.balance),
+      credit_limit: formatAmount(r.credit_limit),
+    }));
+  }
+
+
+  // Everything the issuance wallet has sent to the treasury (minted) and taken
+  // back (burned), per asset.
+  async getIssuanceTotals(client, issuanceWalletId) {
+    const { rows } = await client.query(`
+      SELECT
+        asset_type_id,
+        COALESCE(SUM(amount) FILTER (WHERE direction = 'debit'), 0)  AS minted,
+        COALESCE(SUM(amount) FILTER (WHERE direction = 'credit'), 0) AS burned
+      FROM ledger_entries
+      WHERE wallet_id = $1
+      GROUP BY asset_type_id
+    `, [issuanceWalletId]);
+
+    return rows;
+  }
+
+
+  // How far system wallets other than excludeWalletId (the issuance wallet) are
+  // below zero in the asset, in total.
+  async getSystemOverdraft(client, assetTypeId, { excludeWalletId }) {
+    const { rows } = await client.query(`
+      SELECT COALESCE(SUM(-wb.balance), 0) AS overdraft
+      FROM wallet_balances wb
+      JOIN wallets         w ON w.id = wb.wallet_id
+      WHERE wb.asset_type_id = $1
+        AND wb.wallet_id    != $2
+        AND w.owner_type     = 'system'
+        AND wb.balance       < 0
+    `, [assetTypeId, excludeWalletId]);
+
+    return new Decimal(rows[0].overdraft);
+  }
+
+
+  // Balances per asset, summed across all user wallets (owner_ref null) and
+  // listed per system wallet.
+  async getHoldingsByOwner(client, { excludeWalletId }) {
+    const { rows } = await client.query(`
+      SELECT
+        wb.asset_type_id,
+        CASE WHEN w.owner_type = 'user' THEN NULL ELSE w.owner_ref END AS owner_ref,
+        SUM(wb.balance) AS balance
+      FROM wallet_balances wb
+      JOIN wallets         w ON w.id = wb.wallet_id
+      WHERE wb.wallet_id != $1
+      GROUP BY 1, 2
+      ORDER BY 2 NULLS FIRST
+    `, [excludeWalletId]);
+
+    return rows;
+  }
+
+
+  async getEntriesByTransaction(transactionId) {
     const { rows } = await this.pool.query(`
       SELECT
         le.id,
         le.transaction_id,
         le.wallet_id,
+        w.label     AS wallet_label,
+        w.owner_ref,
         le.asset_type_id,
-        at.name    AS asset_name,
         at.symbol,
         le.direction,
         le.amount,
-        le.created_at,
-        t.transaction_type,
-        t.reference
+        le.created_at
+      FROM ledger_entries le
+      JOIN wallets        w  ON w.id  = le.wallet_id
+      JOIN asset_types    at ON at.id = le.asset_type_id
+      WHERE le.transaction_id = $1
+      ORDER BY le.direction DESC
+    `, [transactionId]);
+
+    return rows.map(r => ({ ...r, amount: formatAmount(r.amount) }));
+  }
+
+
+  static encodeCursor({ createdAt, id }) {
+    return Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+  }
+
+
+  static decodeCursor(cursor) {
+    try {
+      const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+      if (typeof createdAt !== 'string' || isNaN(Date.parse(createdAt)) || !UUID_PATTERN.test(id)) {
+        throw new Error('malformed cursor');
+      }
+
+      return { createdAt, id };
+    } catch (err) {
+      throw new BadRequestError('cursor is invalid');
+    }
+  }
+
+
+  async getHistory(walletId, { limit = 20, cursor = null, filters = {} } = {}) {
+    const { clauses, values } = buildHistoryFilters(walletId, filters);
+
+    if (cursor) {
+      const { createdAt, id } = LedgerRepository.decodeCursor(cursor);
+      values.push(createdAt, id);
+      clauses.push(`(le.created_at, le.id) < ($${values.length - 1}::timestamptz, $${values.length}::uuid)`);
+    }
+
+    values.push(limit + 1);
+
+    const { rows } = await this.pool.query(`
+      SELECT ${HISTORY_COLUMNS}
+      FROM ledger_entries le
+      JOIN asset_types   at ON at.id = le.asset_type_id
+      JOIN transactions   t ON  t.id = le.transaction_id
+      WHERE ${clauses.join(' AND ')}
+      ORDER BY le.created_at DESC, le.id DESC
+      LIMIT  $${values.length}
+    `, values);
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      entries: page.map(({ cursor_ts, ...r }) => ({
+        ...r,
+        amount: formatAmount(r.amount),
+        balance_after: formatAmount(r.balance_after),
+        gross_amount: formatAmount(r.gross_amount),
+        fee_amount: formatAmount(r.fee_amount),
+        net_amount: formatAmount(r.net_amount),
+      })),
+      nextCursor: rows.length > limit
+        ? LedgerRepository.encodeCursor({ createdAt: last.cursor_ts, id: last.id })
+        : null,
+    };
+  }
+
+
+  // Oldest first, strictly after the cursor. Each entry carries its own cursor as
+  // event_id so a stream consumer can resume from the last one it saw.
+  async getEntriesAfter(walletId, { cursor, limit = 200 }) {
+    const { createdAt, id } = LedgerRepository.decodeCursor(cursor);
+
+    const { rows } = await this.pool.query(`
+      SELECT ${HISTORY_COLUMNS}
       FROM ledger_entries le
       JOIN asset_types   at ON at.id = le.asset_type_id
       JOIN transactions   t ON  t.id = le.transaction_id
       WHERE le.wallet_id = $1
-      ORDER BY le.created_at DESC
-      LIMIT  $2
-      OFFSET $3
-    `, [walletId, limit, offset]);
+        AND (le.created_at, le.id) > ($2::timestamptz, $3::uuid)
+      ORDER BY le.created_at, le.id
+      LIMIT $4
+    `, [walletId, createdAt, id, limit]);
 
-    return rows;
+    return rows.map(({ cursor_ts, ...r }) => ({
+      event_id: LedgerRepository.encodeCursor({ createdAt: cursor_ts, id: r.id }),
+      ...r,
+      amount: formatAmount(r.amount),
+      balance_after: formatAmount(r.balance_after),
+      gross_amount: formatAmount(r.gross_amount),
+      fee_amount: formatAmount(r.fee_amount),
+      net_amount: formatAmount(r.net_amount),
+    }));
   }
 
 
-  async getTotalCount(walletId) {
+  async getTotalCount(walletId, filters = {}) {
+    const { clauses, values } = buildHistoryFilters(walletId, filters);
+
     const { rows } = await this.pool.query(`
       SELECT COUNT(*) AS total
-      FROM ledger_entries
-      WHERE wallet_id = $1
-    `, [walletId]);
+      FROM ledger_entries le
+      JOIN transactions    t ON t.id = le.transaction_id
+      WHERE ${clauses.join(' AND ')}
+    `, values);
 
     return parseInt(rows[0].total, 10);
   }
 }
 
+
+function buildHistoryFilters(walletId, { assetTypeId, direction, transactionType, reference, from, to } = {}) {
+  const clauses = ['le.wallet_id = $1'];
+  const values = [walletId];
+
+  const add = (sql, value) => {
+    values.push(value);
+    clauses.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (assetTypeId) add('le.asset_type_id = ?', assetTypeId);
+  if (direction) add('le.direction = ?', direction);
+  if (transactionType) add('t.transaction_type = ?', transactionType);
+  if (reference) add('t.reference = ?', reference);
+  if (from) add('le.created_at >= ?', from);
+  if (to) add('le.created_at < ?', to);
+
+  return { clauses, values };
+}
+
 module.exports = LedgerRepository;
\ No newline at end of file
@@ -0,0 +1,28 @@
+'use strict';
+
+class OutboxRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async publish(client, eventType, payload) {
+    const { rows } = await client.query(`
+      INSERT INTO outbox_events (event_type, payload)
+      VALUES ($1, $2)
+      RETURNING id, event_type, created_at
+    `, [eventType, JSON.stringify(payload)]);
+
+    await client.query(`
+      INSERT INTO webhook_deliveries (event_id, subscription_id)
+      SELECT $1, id
+      FROM webhook_subscriptions
+      WHERE is_active = TRUE
+        AND $2 = ANY(event_types)
+    `, [rows[0].id, eventType]);
+
+    return rows[0];
+  }
+}
+
+module.exports = OutboxRepository;
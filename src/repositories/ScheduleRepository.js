@@ -0,0 +1,146 @@
+'use strict';
+
+const { formatAmount } = require('../utils/decimal');
+
+const SCHEDULE_COLUMNS = `
+  id, operation, wallet_id, to_wallet_id, asset_type_id, amount, reference, metadata,
+  run_at, cron_expression, timezone, status, next_run_at, run_count,
+  last_run_at, last_transaction_id, last_error, created_by, created_at, updated_at
+`;
+
+
+function toSchedule(row) {
+  if (!row) return null;
+  return { ...row, amount: formatAmount(row.amount) };
+}
+
+class ScheduleRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async create({
+    operation,
+    walletId,
+    toWalletId = null,
+    assetTypeId,
+    amount,
+    reference,
+    metadata = null,
+    runAt = null,
+    cronExpression = null,
+    timezone = 'UTC',
+    nextRunAt,
+    createdBy,
+  }) {
+    const { rows } = await this.pool.query(`
+      INSERT INTO transfer_schedules
+        (operation, wallet_id, to_wallet_id, asset_type_id, amount, reference, metadata,
+         run_at, cron_expression, timezone, next_run_at, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING ${SCHEDULE_COLUMNS}
+    `, [
+      operation,
+      walletId,
+      toWalletId,
+      assetTypeId,
+      amount,
+      reference,
+      metadata ? JSON.stringify(metadata) : null,
+      runAt,
+      cronExpression,
+      timezone,
+      nextRunAt,
+      createdBy,
+    ]);
+
+    return toSchedule(rows[0]);
+  }
+
+
+  async getById(id) {
+    const { rows } = await this.pool.query(`
+      SELECT ${SCHEDULE_COLUMNS}
+      FROM transfer_schedules
+      WHERE id = $1
+    `, [id]);
+
+    return toSchedule(rows[0]);
+  }
+
+
+  async list({ status = null, walletId = null, limit = 100 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT ${SCHEDULE_COLUMNS}
+      FROM transfer_schedules
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::uuid IS NULL OR wallet_id = $2 OR to_wallet_id = $2)
+      ORDER BY created_at DESC
+      LIMIT $3
+    `, [status, walletId, limit]);
+
+    return rows.map(toSchedule);
+  }
+
+
+  // Only moves from one of `fromStatuses`, so racing pause/resume/cancel calls
+  // can't resurrect a cancelled or completed schedule.
+  async updateStatus(id, { fromStatuses, status, nextRunAt }) {
+    const { rows } = await this.pool.query(`
+      UPDATE transfer_schedules
+      SET status      = $3,
+          next_run_at = COALESCE($4, next_run_at),
+          lease_until = NULL,
+          updated_at  = NOW()
+      WHERE id = $1
+        AND status = ANY($2::text[])
+      RETURNING ${SCHEDULE_COLUMNS}
+    `, [id, fromStatuses, status, nextRunAt || null]);
+
+    return toSchedule(rows[0]);
+  }
+
+
+  async claimDue({ batchSize, leaseMs }) {
+    const { rows } = await this.pool.query(`
+      WITH due AS (
+        SELECT id
+        FROM transfer_schedules
+        WHERE status = 'active'
+          AND next_run_at <= NOW()
+          AND (lease_until IS NULL OR lease_until < NOW())
+        ORDER BY next_run_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      UPDATE transfer_schedules s
+      SET lease_until = NOW() + $2::float8 * INTERVAL '1 millisecond'
+      FROM due
+      WHERE s.id = due.id
+      RETURNING ${SCHEDULE_COLUMNS}
+    `, [batchSize, leaseMs]);
+
+    return rows.map(toSchedule);
+  }
+
+
+  // Guarded on the occurrence that was run: if the schedule was paused or
+  // cancelled meanwhile, the status change wins and only the run is recorded.
+  async recordRun(id, { occurrence, transactionId = null, error = null, nextRunAt, finalStatus = null }) {
+    await this.pool.query(`
+      UPDATE transfer_schedules
+      SET run_count           = run_count + 1,
+          last_run_at         = NOW(),
+          last_transaction_id = COALESCE($3, last_transaction_id),
+          last_error          = $4,
+          next_run_at         = CASE WHEN next_run_at = $2 THEN $5 ELSE next_run_at END,
+          status              = CASE WHEN status = 'active' AND $6::text IS NOT NULL THEN $6 ELSE status END,
+          lease_until         = NULL,
+          updated_at          = NOW()
+      WHERE id = $1
+    `, [id, occurrence, transactionId, error, nextRunAt, finalStatus]);
+  }
+}
+
+module.exports = ScheduleRepository;
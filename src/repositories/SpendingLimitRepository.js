@@ -0,0 +1,133 @@
+'use strict';
+
+const { Decimal, formatAmount } = require('../utils/decimal');
+
+const LIMIT_COLUMNS = `
+  id, wallet_id, owner_type, asset_type_id,
+  max_per_transaction, period, max_amount_per_period, max_count_per_period,
+  reason, is_active, created_by, created_at, updated_at
+`;
+
+
+function toLimit(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    max_per_transaction: formatAmount(row.max_per_transaction),
+    max_amount_per_period: formatAmount(row.max_amount_per_period),
+  };
+}
+
+class SpendingLimitRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async create({
+    walletId = null,
+    ownerType = null,
+    assetTypeId = null,
+    maxPerTransaction = null,
+    period = null,
+    maxAmountPerPeriod = null,
+    maxCountPerPeriod = null,
+    reason = null,
+    createdBy,
+  }) {
+    const { rows } = await this.pool.query(`
+      INSERT INTO spending_limits
+        (wallet_id, owner_type, asset_type_id, max_per_transaction, period,
+         max_amount_per_period, max_count_per_period, reason, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING ${LIMIT_COLUMNS}
+    `, [
+      walletId,
+      ownerType,
+      assetTypeId,
+      maxPerTransaction,
+      period,
+      maxAmountPerPeriod,
+      maxCountPerPeriod,
+      reason,
+      createdBy,
+    ]);
+
+    return toLimit(rows[0]);
+  }
+
+
+  async getById(id) {
+    const { rows } = await this.pool.query(`
+      SELECT ${LIMIT_COLUMNS}
+      FROM spending_limits
+      WHERE id = $1
+    `, [id]);
+
+    return toLimit(rows[0]);
+  }
+
+
+  async list({ walletId = null, includeInactive = false } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT ${LIMIT_COLUMNS}
+      FROM spending_limits
+      WHERE ($1::uuid IS NULL OR wallet_id = $1)
+        AND ($2 OR is_active = TRUE)
+      ORDER BY created_at DESC
+    `, [walletId, includeInactive]);
+
+    return rows.map(toLimit);
+  }
+
+
+  async deactivate(id) {
+    const { rows } = await this.pool.query(`
+      UPDATE spending_limits
+      SET is_active  = FALSE,
+          updated_at = NOW()
+      WHERE id = $1
+        AND is_active = TRUE
+      RETURNING ${LIMIT_COLUMNS}
+    `, [id]);
+
+    return toLimit(rows[0]);
+  }
+
+
+  // Every active limit whose selectors all match the wallet and asset.
+  async findApplicable(client, { walletId, ownerType, assetTypeId }) {
+    const { rows } = await client.query(`
+      SELECT ${LIMIT_COLUMNS}
+      FROM spending_limits
+      WHERE is_active = TRUE
+        AND (wallet_id     IS NULL OR wallet_id     = $1)
+        AND (owner_type    IS NULL OR owner_type    = $2)
+        AND (asset_type_id IS NULL OR asset_type_id = $3)
+      ORDER BY created_at
+    `, [walletId, ownerType, assetTypeId]);
+
+    return rows.map(toLimit);
+  }
+
+
+  // The wallet's debits of the given transaction types inside the rolling
+  // window, oldest first. A null asset counts debits in every asset.
+  async getDebitsInWindow(client, { walletId, assetTypeId = null, transactionTypes, periodSeconds }) {
+    const { rows } = await client.query(`
+      SELECT le.amount, le.created_at
+      FROM ledger_entries le
+      JOIN transactions t ON t.id = le.transaction_id
+      WHERE le.wallet_id = $1
+        AND le.direction = 'debit'
+        AND ($2::uuid IS NULL OR le.asset_type_id = $2)
+        AND t.transaction_type = ANY($3::text[])
+        AND le.created_at > NOW() - $4 * INTERVAL '1 second'
+      ORDER BY le.created_at, le.id
+    `, [walletId, assetTypeId, transactionTypes, periodSeconds]);
+
+    return rows.map(r => ({ amount: new Decimal(r.amount), created_at: r.created_at }));
+  }
+}
+
+module.exports = SpendingLimitRepository;
@@ -1,38 +1,135 @@
 'use strict';
 
+const { Decimal, formatAmount } = require('../utils/decimal');
+
+const TRANSACTION_COLUMNS = `
+  id, transaction_type, reference, initiated_by, metadata, reverses_transaction_id, hold_id,
+  gross_amount, fee_amount, net_amount, created_at
+`;
+
+
+function toTransaction(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    gross_amount: formatAmount(row.gross_amount),
+    fee_amount: formatAmount(row.fee_amount),
+    net_amount: formatAmount(row.net_amount),
+  };
+}
+
 class TransactionRepository {
   constructor(pool) {
     this.pool = pool;
   }
 
 
-  async insert(client, { id, transactionType, reference, initiatedBy = 'system', metadata = null }) {
+  async insert(client, {
+    id,
+    transactionType,
+    reference,
+    initiatedBy = 'system',
+    metadata = null,
+    reversesTransactionId = null,
+    holdId = null,
+    fee = null,
+  }) {
     const { rows } = await client.query(`
       INSERT INTO transactions
-        (id, transaction_type, reference, initiated_by, metadata)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, transaction_type, reference, initiated_by, created_at
+        (id, transaction_type, reference, initiated_by, metadata, reverses_transaction_id, hold_id,
+         gross_amount, fee_amount, net_amount, fee_schedule_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING ${TRANSACTION_COLUMNS}
     `, [
       id,
       transactionType,
       reference,
       initiatedBy,
-      metadata ? JSON.stringify(metadata) : null
+      metadata ? JSON.stringify(metadata) : null,
+      reversesTransactionId,
+      holdId,
+      fee ? fee.grossAmount : null,
+      fee ? fee.feeAmount : null,
+      fee ? fee.netAmount : null,
+      fee ? fee.scheduleId : null,
     ]);
 
-    return rows[0];
+    return toTransaction(rows[0]);
   }
 
 
   async getById(id) {
     const { rows } = await this.pool.query(`
-      SELECT id, transaction_type, reference, initiated_by, metadata, created_at
+      SELECT ${TRANSACTION_COLUMNS}
+      FROM transactions
+      WHERE id = $1
+    `, [id]);
+
+    return toTransaction(rows[0]);
+  }
+
+
+  async listByReference(reference, { limit = 50 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT ${TRANSACTION_COLUMNS}
+      FROM transactions
+      WHERE reference = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [reference, limit]);
+
+    return rows.map(toTransaction);
+  }
+
+
+  async listReversalIds(id) {
+    const { rows } = await this.pool.query(`
+      SELECT id
+      FROM transactions
+      WHERE reverses_transaction_id = $1
+      ORDER BY created_at
+    `, [id]);
+
+    return rows.map(r => r.id);
+  }
+
+
+  async lockById(client, id) {
+    const { rows } = await client.query(`
+      SELECT id, transaction_type, reference
       FROM transactions
       WHERE id = $1
+      FOR UPDATE
     `, [id]);
 
     return rows[0] || null;
   }
+
+
+  // A fee is never refunded: only the net amount the payee received can be
+  // reversed.
+  async getReversibleAmount(client, id) {
+    const { rows } = await client.query(`
+      SELECT
+        COALESCE(t.net_amount, (
+          SELECT orig.amount
+          FROM ledger_entries orig
+          WHERE orig.transaction_id = t.id
+            AND orig.direction = 'credit'
+          LIMIT 1
+        )) - COALESCE((
+          SELECT SUM(le.amount)
+          FROM transactions   r
+          JOIN ledger_entries le ON le.transaction_id = r.id
+          WHERE r.reverses_transaction_id = $1
+            AND le.direction = 'credit'
+        ), 0) AS remaining
+      FROM transactions t
+      WHERE t.id = $1
+    `, [id]);
+
+    return new Decimal(rows[0] ? rows[0].remaining : 0);
+  }
 }
 
 module.exports = TransactionRepository;
\ No newline at end of file
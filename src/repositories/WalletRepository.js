@@ -10,7 +10,7 @@ class WalletRepository {
 
     async getById(id) {
         const { rows } = await this.pool.query(`
-      SELECT id, owner_ref, owner_type, label, is_active, created_at, updated_at
+      SELECT id, owner_ref, owner_type, label, is_active, status, created_at, updated_at
       FROM wallets
       WHERE id = $1
     `, [id]);
@@ -18,6 +18,16 @@ class WalletRepository {
     }
 
 
+    async getByOwnerRef(ownerRef) {
+        const { rows } = await this.pool.query(`
+      SELECT id, owner_ref, owner_type, label, is_active, status, created_at, updated_at
+      FROM wallets
+      WHERE owner_ref = $1
+    `, [ownerRef]);
+        return rows[0] || null;
+    }
+
+
     async getSystemWalletByRef(ref) {
         const { rows } = await this.pool.query(`
       SELECT id, owner_ref, owner_type, label, is_active
@@ -32,7 +42,7 @@ class WalletRepository {
 
     async listAll() {
         const { rows } = await this.pool.query(`
-      SELECT id, owner_ref, owner_type, label, is_active, created_at
+      SELECT id, owner_ref, owner_type, label, is_active, status, created_at
       FROM wallets
       ORDER BY owner_type DESC, label ASC
     `);
@@ -40,6 +50,50 @@ class WalletRepository {
     }
 
 
+    async create({ ownerRef, ownerType, label }) {
+        const { rows } = await this.pool.query(`
+      INSERT INTO wallets (owner_ref, owner_type, label)
+      VALUES ($1, $2, $3)
+      RETURNING id, owner_ref, owner_type, label, is_active, status, created_at, updated_at
+    `, [ownerRef, ownerType, label]);
+        return rows[0];
+    }
+
+
+    async updateLabel(id, label) {
+        const { rows } = await this.pool.query(`
+      UPDATE wallets
+      SET label = $2
+      WHERE id = $1
+      RETURNING id, owner_ref, owner_type, label, is_active, status, created_at, updated_at
+    `, [id, label]);
+        return rows[0] || null;
+    }
+
+
+    async updateStatus(client, id, status) {
+        const { rows } = await client.query(`
+      UPDATE wallets
+      SET status    = $2,
+          is_active = ($2 = 'active')
+      WHERE id = $1
+      RETURNING id, owner_ref, owner_type, label, is_active, status, created_at, updated_at
+    `, [id, status]);
+        return rows[0] || null;
+    }
+
+
+    async insertStatusEvent(client, { walletId, action, fromStatus, toStatus, performedBy, reason = '' }) {
+        const { rows } = await client.query(`
+      INSERT INTO wallet_status_events
+        (wallet_id, action, from_status, to_status, performed_by, reason)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, wallet_id, action, from_status, to_status, performed_by, reason, created_at
+    `, [walletId, action, fromStatus, toStatus, performedBy, reason]);
+        return rows[0];
+    }
+
+
     async lockWallets(client, ...walletIds) {
 
         const sortedIds = [...new Set(walletIds)].sort();
@@ -47,7 +101,7 @@ class WalletRepository {
         const wallets = [];
         for (const id of sortedIds) {
             const { rows } = await client.query(`
-        SELECT id, owner_ref, owner_type, label, is_active
+        SELECT id, owner_ref, owner_type, label, is_active, status
         FROM wallets
         WHERE id = $1
         FOR UPDATE
@@ -64,4 +118,4 @@ class WalletRepository {
     }
 }
 
-module.exports = WalletRepository;
\ No newline at end of file
+module.exports = WalletRepository;
@@ -0,0 +1,145 @@
+'use strict';
+
+const SUBSCRIPTION_COLUMNS = 'id, url, event_types, description, created_by, is_active, created_at';
+
+class WebhookRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+
+  async createSubscription({ url, secret, eventTypes, description = '', createdBy }) {
+    const { rows } = await this.pool.query(`
+      INSERT INTO webhook_subscriptions (url, secret, event_types, description, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${SUBSCRIPTION_COLUMNS}
+    `, [url, secret, eventTypes, description, createdBy]);
+
+    return rows[0];
+  }
+
+
+  async listSubscriptions() {
+    const { rows } = await this.pool.query(`
+      SELECT ${SUBSCRIPTION_COLUMNS}
+      FROM webhook_subscriptions
+      WHERE is_active = TRUE
+      ORDER BY created_at DESC
+    `);
+
+    return rows;
+  }
+
+
+  async deactivateSubscription(id) {
+    const { rows } = await this.pool.query(`
+      UPDATE webhook_subscriptions
+      SET is_active = FALSE
+      WHERE id = $1
+        AND is_active = TRUE
+      RETURNING ${SUBSCRIPTION_COLUMNS}
+    `, [id]);
+
+    return rows[0] || null;
+  }
+
+
+  async claimDueDeliveries({ batchSize, leaseMs }) {
+    const { rows } = await this.pool.query(`
+      WITH due AS (
+        SELECT id
+        FROM webhook_deliveries
+        WHERE status = 'pending'
+          AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      UPDATE webhook_deliveries d
+      SET attempts        = d.attempts + 1,
+          next_attempt_at = NOW() + $2::float8 * INTERVAL '1 millisecond'
+      FROM due, outbox_events e, webhook_subscriptions s
+      WHERE d.id = due.id
+        AND e.id = d.event_id
+        AND s.id = d.subscription_id
+      RETURNING
+        d.id,
+        d.attempts,
+        d.event_id,
+        e.event_type,
+        e.payload,
+        e.created_at AS event_created_at,
+        s.url,
+        s.secret,
+        s.is_active  AS subscription_active
+    `, [batchSize, leaseMs]);
+
+    return rows;
+  }
+
+
+  async markDelivered(id, { statusCode }) {
+    await this.pool.query(`
+      UPDATE webhook_deliveries
+      SET status           = 'delivered',
+          last_status_code = $2,
+          last_error       = NULL,
+          delivered_at     = NOW()
+      WHERE id = $1
+    `, [id, statusCode]);
+  }
+
+
+  async markFailed(id, { statusCode = null, error, retryInMs = null }) {
+    await this.pool.query(`
+      UPDATE webhook_deliveries
+      SET status           = CASE WHEN $4::float8 IS NULL THEN 'dead' ELSE 'pending' END,
+          last_status_code = $2,
+          last_error       = $3,
+          next_attempt_at  = CASE WHEN $4::float8 IS NULL THEN next_attempt_at
+                                  ELSE NOW() + $4::float8 * INTERVAL '1 millisecond' END
+      WHERE id = $1
+    `, [id, statusCode, error, retryInMs]);
+  }
+
+
+  async listDeadLetters({ limit = 50 } = {}) {
+    const { rows } = await this.pool.query(`
+      SELECT
+        d.id,
+        d.event_id,
+        e.event_type,
+        d.subscription_id,
+        s.url,
+        d.attempts,
+        d.last_status_code,
+        d.last_error,
+        d.created_at
+      FROM webhook_deliveries    d
+      JOIN outbox_events         e ON e.id = d.event_id
+      JOIN webhook_subscriptions s ON s.id = d.subscription_id
+      WHERE d.status = 'dead'
+      ORDER BY d.created_at DESC
+      LIMIT $1
+    `, [limit]);
+
+    return rows;
+  }
+
+
+  async requeueDelivery(id) {
+    const { rows } = await this.pool.query(`
+      UPDATE webhook_deliveries
+      SET status          = 'pending',
+          attempts        = 0,
+          next_attempt_at = NOW()
+      WHERE id = $1
+        AND status = 'dead'
+      RETURNING id, event_id, subscription_id, status, next_attempt_at
+    `, [id]);
+
+    return rows[0] || null;
+  }
+}
+
+module.exports = WebhookRepository;
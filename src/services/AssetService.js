@@ -0,0 +1,100 @@
+'use strict';
+
+const {
+    BadRequestError,
+    NotFoundError,
+    ConflictError,
+} = require('../errors/ApiError');
+const { Decimal } = require('../utils/decimal');
+
+// Column default for asset_types.decimal_places.
+const DEFAULT_DECIMAL_PLACES = 8;
+
+class AssetService {
+
+    constructor({ assetRepo }) {
+        this.assetRepo = assetRepo;
+    }
+
+
+    async listAssets() {
+        return this.assetRepo.listActive();
+    }
+
+
+    async getAsset(assetTypeId) {
+        const asset = await this.assetRepo.getById(assetTypeId);
+        if (!asset) throw new NotFoundError('Asset type not found');
+        return asset;
+    }
+
+
+    async createAsset(fields) {
+        const existing = await this.assetRepo.getBySymbol(fields.symbol);
+        if (existing) {
+            throw new ConflictError(`Asset symbol already in use: ${fields.symbol}`);
+        }
+
+        this._assertTransferRange(
+            fields.decimalPlaces !== undefined ? fields.decimalPlaces : DEFAULT_DECIMAL_PLACES,
+            fields.minTransferAmount,
+            fields.maxTransferAmount
+        );
+
+        const asset = await this.assetRepo.create(fields);
+
+        console.log(`asset created: ${asset.id} (${asset.symbol})`);
+        return asset;
+    }
+
+
+    async updateAsset(assetTypeId, changes) {
+        const asset = await this.getAsset(assetTypeId);
+
+        if (changes.symbol && changes.symbol !== asset.symbol) {
+            const existing = await this.assetRepo.getBySymbol(changes.symbol);
+            if (existing) {
+                throw new ConflictError(`Asset symbol already in use: ${changes.symbol}`);
+            }
+        }
+
+        this._assertTransferRange(
+            changes.decimalPlaces !== undefined ? changes.decimalPlaces : asset.decimal_places,
+            changes.minTransferAmount !== undefined ? changes.minTransferAmount : asset.min_transfer_amount,
+            changes.maxTransferAmount !== undefined ? changes.maxTransferAmount : asset.max_transfer_amount
+        );
+
+        return this.assetRepo.update(assetTypeId, changes);
+    }
+
+
+    async deactivateAsset(assetTypeId) {
+        const asset = await this.getAsset(assetTypeId);
+
+        if (!asset.is_active) {
+            throw new ConflictError('Asset type is already inactive');
+        }
+
+        const updated = await this.assetRepo.deactivate(assetTypeId);
+
+        console.log(`asset deactivated: ${assetTypeId} (${asset.symbol})`);
+        return updated;
+    }
+
+
+    // Re-checked against the stored values on update, so lowering decimal_places
+    // cannot strand a limit no transfer could ever match exactly.
+    _assertTransferRange(decimalPlaces, min, max) {
+        for (const [field, value] of [['min_transfer_amount', min], ['max_transfer_amount', max]]) {
+            if (value != null && new Decimal(value).decimalPlaces() > decimalPlaces) {
+                throw new BadRequestError(`${field} allows at most ${decimalPlaces} decimal places`);
+            }
+        }
+
+        if (min != null && max != null && new Decimal(min).gt(max)) {
+            throw new BadRequestError('min_transfer_amount cannot exceed max_transfer_amount');
+        }
+    }
+}
+
+module.exports = AssetService;
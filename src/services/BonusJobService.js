@@ -0,0 +1,111 @@
+'use strict';
+
+const { withTransaction } = require('../db/pool');
+const {
+    BadRequestError,
+    NotFoundError,
+    ConflictError,
+} = require('../errors/ApiError');
+const IdempotencyRepository = require('../repositories/IdempotencyRepository');
+
+
+function describeJob(job) {
+    const processed = job.succeeded_rows + job.failed_rows;
+
+    return {
+        ...job,
+        processed_rows: processed,
+        pending_rows: job.total_rows - processed,
+        progress_percent: job.total_rows === 0
+            ? 100
+            : Math.floor((processed / job.total_rows) * 100),
+    };
+}
+
+class BonusJobService {
+
+    constructor({ bonusJobRepo, assetRepo }) {
+        this.bonusJobRepo = bonusJobRepo;
+        this.assetRepo = assetRepo;
+    }
+
+
+    async createJob({ assetTypeId, reference, rows, createdBy }, idemKey) {
+        const requestHash = IdempotencyRepository.hashRequest({
+            assetTypeId,
+            reference,
+            rows: rows.map(r => [r.walletId, r.amount]),
+        });
+
+        const existing = await this._findExisting(idemKey, requestHash);
+        if (existing) return existing;
+
+
+        const asset = await this.assetRepo.getById(assetTypeId);
+        if (!asset) {
+            throw new NotFoundError(`Asset type not found: ${assetTypeId}`);
+        }
+        if (!asset.is_active) {
+            throw new BadRequestError('Asset type is not active');
+        }
+
+
+        const job = await withTransaction(client => this.bonusJobRepo.create(client, {
+            idemKey,
+            requestHash,
+            assetTypeId,
+            reference,
+            createdBy,
+            rows,
+        }));
+
+        // Lost a race with a concurrent request using the same key.
+        if (!job) {
+            return this._findExisting(idemKey, requestHash);
+        }
+
+        console.log(`bonus job created: ${job.id} (${job.total_rows} rows of ${asset.symbol})`);
+        return { data: describeJob(job), fromCache: false };
+    }
+
+
+    async listJobs({ limit }) {
+        const jobs = await this.bonusJobRepo.list({ limit });
+        return jobs.map(describeJob);
+    }
+
+
+    async getJob(jobId) {
+        const job = await this.bonusJobRepo.getById(jobId);
+        if (!job) throw new NotFoundError('Bonus job not found');
+        return describeJob(job);
+    }
+
+
+    async getJobRows(jobId, { status, afterRow, limit }) {
+        await this.getJob(jobId);
+
+        const rows = await this.bonusJobRepo.getRows(jobId, { status, afterRow, limit });
+
+        return {
+            job_id: jobId,
+            rows,
+            next_after_row: rows.length === limit ? rows[rows.length - 1].row_number : null,
+        };
+    }
+
+
+    async _findExisting(idemKey, requestHash) {
+        const existing = await this.bonusJobRepo.getByIdemKey(idemKey);
+        if (!existing) return null;
+
+        const { request_hash, ...job } = existing;
+        if (request_hash !== requestHash) {
+            throw new ConflictError('Idempotency-Key already used with a different request body');
+        }
+
+        return { data: describeJob(job), fromCache: true };
+    }
+}
+
+module.exports = BonusJobService;
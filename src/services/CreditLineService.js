@@ -0,0 +1,76 @@
+'use strict';
+
+const { withTransaction } = require('../db/pool');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors/ApiError');
+
+class CreditLineService {
+
+    constructor({ creditLineRepo, walletRepo, ledgerRepo, assetRepo }) {
+        this.creditLineRepo = creditLineRepo;
+        this.walletRepo = walletRepo;
+        this.ledgerRepo = ledgerRepo;
+        this.assetRepo = assetRepo;
+    }
+
+
+    async listCreditLines({ walletId = null } = {}) {
+        return this.creditLineRepo.list({ walletId });
+    }
+
+
+    // Sets or replaces the wallet's line in the asset. The wallet lock keeps a
+    // concurrent spend from overdrawing past a limit that is being lowered.
+    async setCreditLine({ walletId, assetTypeId, creditLimit, reason, createdBy }) {
+        const asset = await this.assetRepo.getById(assetTypeId);
+        if (!asset) throw new NotFoundError(`Asset type not found: ${assetTypeId}`);
+
+        const creditLine = await withTransaction(async (client) => {
+            const walletMap = await this.walletRepo.lockWallets(client, walletId);
+
+            if (walletMap[walletId].owner_type !== 'user') {
+                throw new BadRequestError('Credit lines can only be granted to user wallets');
+            }
+
+            const balance = await this.ledgerRepo.getBalanceForAsset(client, walletId, assetTypeId);
+            if (balance.plus(creditLimit).lt(0)) {
+                throw new ConflictError(
+                    `Wallet is overdrawn by ${balance.negated().toFixed()} ${asset.symbol}; the credit limit cannot be lower`
+                );
+            }
+
+            return this.creditLineRepo.upsert(client, {
+                walletId,
+                assetTypeId,
+                creditLimit,
+                reason,
+                createdBy,
+            });
+        });
+
+        console.log(`credit line set: ${creditLine.owner_ref} ${creditLine.credit_limit} ${creditLine.symbol} by ${createdBy}`);
+        return creditLine;
+    }
+
+
+    async removeCreditLine(walletId, assetTypeId) {
+        const creditLine = await withTransaction(async (client) => {
+            await this.walletRepo.lockWallets(client, walletId);
+
+            const balance = await this.ledgerRepo.getBalanceForAsset(client, walletId, assetTypeId);
+            if (balance.lt(0)) {
+                throw new ConflictError(
+                    `Wallet is overdrawn by ${balance.negated().toFixed()}; repay it before removing the credit line`
+                );
+            }
+
+            return this.creditLineRepo.remove(client, walletId, assetTypeId);
+        });
+
+        if (!creditLine) throw new NotFoundError('Credit line not found');
+
+        console.log(`credit line removed: ${creditLine.owner_ref} ${creditLine.symbol}`);
+        return creditLine;
+    }
+}
+
+module.exports = CreditLineService;
@@ -0,0 +1,46 @@
+'use strict';
+
+const { BadRequestError, NotFoundError } = require('../errors/ApiError');
+
+class ExchangeRateService {
+
+    constructor({ exchangeRateRepo, assetRepo }) {
+        this.exchangeRateRepo = exchangeRateRepo;
+        this.assetRepo = assetRepo;
+    }
+
+
+    async listCurrentRates() {
+        return this.exchangeRateRepo.listCurrent();
+    }
+
+
+    async listPairRates(fromAssetTypeId, toAssetTypeId) {
+        return this.exchangeRateRepo.listForPair(fromAssetTypeId, toAssetTypeId);
+    }
+
+
+    async setRate({ fromAssetTypeId, toAssetTypeId, rate, effectiveFrom, createdBy }) {
+        if (fromAssetTypeId === toAssetTypeId) {
+            throw new BadRequestError('from_asset_type_id and to_asset_type_id must differ');
+        }
+
+        for (const assetTypeId of [fromAssetTypeId, toAssetTypeId]) {
+            const asset = await this.assetRepo.getById(assetTypeId);
+            if (!asset) throw new NotFoundError(`Asset type not found: ${assetTypeId}`);
+        }
+
+        const created = await this.exchangeRateRepo.create({
+            fromAssetTypeId,
+            toAssetTypeId,
+            rate,
+            effectiveFrom,
+            createdBy,
+        });
+
+        console.log(`exchange rate set: ${created.from_symbol} → ${created.to_symbol} = ${created.rate} from ${created.effective_from.toISOString()}`);
+        return created;
+    }
+}
+
+module.exports = ExchangeRateService;
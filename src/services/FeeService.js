@@ -0,0 +1,50 @@
+'use strict';
+
+const { withTransaction } = require('../db/pool');
+const { NotFoundError } = require('../errors/ApiError');
+
+class FeeService {
+
+    constructor({ feeRepo, assetRepo }) {
+        this.feeRepo = feeRepo;
+        this.assetRepo = assetRepo;
+    }
+
+
+    async listFees({ includeInactive = false } = {}) {
+        return this.feeRepo.list({ includeInactive });
+    }
+
+
+    // Replaces whatever schedule is active for the asset and transaction type.
+    // The old row is kept, inactive, because past transactions reference it.
+    async setFee({ assetTypeId, transactionType, feeType, flatAmount, percent, tiers, createdBy }) {
+        const asset = await this.assetRepo.getById(assetTypeId);
+        if (!asset) throw new NotFoundError(`Asset type not found: ${assetTypeId}`);
+
+        const created = await withTransaction(async (client) => {
+            await this.feeRepo.retireActive(client, assetTypeId, transactionType);
+            return this.feeRepo.create(client, {
+                assetTypeId,
+                transactionType,
+                feeType,
+                flatAmount,
+                percent,
+                tiers,
+                createdBy,
+            });
+        });
+
+        console.log(`fee schedule set: ${created.symbol} ${created.transaction_type} (${created.fee_type}) by ${createdBy}`);
+        return created;
+    }
+
+
+    async deleteFee(feeId) {
+        const removed = await this.feeRepo.deactivate(feeId);
+        if (!removed) throw new NotFoundError('Active fee schedule not found');
+        return removed;
+    }
+}
+
+module.exports = FeeService;
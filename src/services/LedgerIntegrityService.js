@@ -0,0 +1,40 @@
+'use strict';
+
+const { withTransaction } = require('../db/pool');
+
+class LedgerIntegrityService {
+
+    constructor({ ledgerRepo }) {
+        this.ledgerRepo = ledgerRepo;
+    }
+
+
+    async verify() {
+        const checks = await withTransaction(async (client) => {
+
+            await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY');
+
+            return {
+                unbalanced_transactions: await this.ledgerRepo.findUnbalancedTransactions(client),
+                unbalanced_assets: await this.ledgerRepo.findUnbalancedAssets(client),
+                orphan_entries: await this.ledgerRepo.findOrphanEntries(client),
+                transactions_without_entries: await this.ledgerRepo.findTransactionsWithoutEntries(client),
+                negative_user_balances: await this.ledgerRepo.findNegativeUserBalances(client),
+                balance_drift: await this.ledgerRepo.getBalanceDrift(client),
+            };
+        });
+
+        const summary = Object.fromEntries(
+            Object.entries(checks).map(([name, rows]) => [name, rows.length])
+        );
+
+        return {
+            ok: Object.values(summary).every(count => count === 0),
+            checked_at: new Date().toISOString(),
+            summary,
+            ...checks,
+        };
+    }
+}
+
+module.exports = LedgerIntegrityService;
@@ -0,0 +1,110 @@
+'use strict';
+
+const {
+    BadRequestError,
+    NotFoundError,
+    ConflictError,
+} = require('../errors/ApiError');
+const { nextOccurrence } = require('../utils/cron');
+
+
+// action -> statuses it may start from, the status it leads to
+const SCHEDULE_TRANSITIONS = {
+    pause: { from: ['active'], to: 'paused' },
+    resume: { from: ['paused'], to: 'active' },
+    cancel: { from: ['active', 'paused'], to: 'cancelled' },
+};
+
+class ScheduleService {
+
+    constructor({ scheduleRepo, walletRepo, assetRepo }) {
+        this.scheduleRepo = scheduleRepo;
+        this.walletRepo = walletRepo;
+        this.assetRepo = assetRepo;
+    }
+
+
+    async createSchedule(fields) {
+        const asset = await this.assetRepo.getById(fields.assetTypeId);
+        if (!asset) {
+            throw new NotFoundError(`Asset type not found: ${fields.assetTypeId}`);
+        }
+        if (!asset.is_active) {
+            throw new BadRequestError('Asset type is not active');
+        }
+
+        for (const walletId of [fields.walletId, fields.toWalletId].filter(Boolean)) {
+            const wallet = await this.walletRepo.getById(walletId);
+            if (!wallet) {
+                throw new NotFoundError(`Wallet not found: ${walletId}`);
+            }
+        }
+
+        if (fields.operation === 'transfer' && fields.walletId === fields.toWalletId) {
+            throw new BadRequestError('Cannot schedule a transfer to the same wallet');
+        }
+
+        const schedule = await this.scheduleRepo.create({
+            ...fields,
+            nextRunAt: this._firstRunAt(fields),
+        });
+
+        console.log(`schedule created: ${schedule.id} (${schedule.operation}, next run ${schedule.next_run_at.toISOString()})`);
+        return schedule;
+    }
+
+
+    async listSchedules(filters) {
+        return this.scheduleRepo.list(filters);
+    }
+
+
+    async getSchedule(scheduleId) {
+        const schedule = await this.scheduleRepo.getById(scheduleId);
+        if (!schedule) throw new NotFoundError('Schedule not found');
+        return schedule;
+    }
+
+
+    async changeScheduleStatus(scheduleId, action) {
+        const transition = SCHEDULE_TRANSITIONS[action];
+        if (!transition) {
+            throw new BadRequestError(`Unknown schedule action: ${action}`);
+        }
+
+        const current = await this.getSchedule(scheduleId);
+
+        // A resumed recurring schedule picks up at its next occurrence from now
+        // rather than replaying the ones that fell inside the pause.
+        const nextRunAt = action === 'resume' && current.cron_expression
+            ? this._firstRunAt({ cronExpression: current.cron_expression, timezone: current.timezone })
+            : null;
+
+        const updated = await this.scheduleRepo.updateStatus(scheduleId, {
+            fromStatuses: transition.from,
+            status: transition.to,
+            nextRunAt,
+        });
+
+        if (!updated) {
+            const latest = await this.getSchedule(scheduleId);
+            throw new ConflictError(`Cannot ${action} a schedule that is ${latest.status}`);
+        }
+
+        console.log(`schedule ${action} completed: ${scheduleId}`);
+        return updated;
+    }
+
+
+    _firstRunAt({ runAt, cronExpression, timezone }) {
+        if (runAt) return runAt;
+
+        const next = nextOccurrence(cronExpression, { timezone });
+        if (!next) {
+            throw new BadRequestError('cron expression or timezone is invalid');
+        }
+        return next;
+    }
+}
+
+module.exports = ScheduleService;
@@ -0,0 +1,59 @@
+'use strict';
+
+const { Decimal } = require('../utils/decimal');
+const { BadRequestError, NotFoundError } = require('../errors/ApiError');
+
+class SpendingLimitService {
+
+    constructor({ spendingLimitRepo, walletRepo, assetRepo }) {
+        this.spendingLimitRepo = spendingLimitRepo;
+        this.walletRepo = walletRepo;
+        this.assetRepo = assetRepo;
+    }
+
+
+    async createLimit(fields) {
+        if (fields.walletId) {
+            const wallet = await this.walletRepo.getById(fields.walletId);
+            if (!wallet) throw new NotFoundError(`Wallet not found: ${fields.walletId}`);
+        }
+
+        if (fields.assetTypeId) {
+            const asset = await this.assetRepo.getById(fields.assetTypeId);
+            if (!asset) throw new NotFoundError(`Asset type not found: ${fields.assetTypeId}`);
+        }
+
+        if (fields.maxPerTransaction && fields.maxAmountPerPeriod &&
+            new Decimal(fields.maxPerTransaction).gt(fields.maxAmountPerPeriod)) {
+            throw new BadRequestError('max_per_transaction cannot exceed max_amount_per_period');
+        }
+
+        const limit = await this.spendingLimitRepo.create(fields);
+
+        console.log(`spending limit created: ${limit.id} by ${fields.createdBy}`);
+        return limit;
+    }
+
+
+    async listLimits(filters) {
+        return this.spendingLimitRepo.list(filters);
+    }
+
+
+    async getLimit(limitId) {
+        const limit = await this.spendingLimitRepo.getById(limitId);
+        if (!limit) throw new NotFoundError('Spending limit not found');
+        return limit;
+    }
+
+
+    async deleteLimit(limitId) {
+        const limit = await this.spendingLimitRepo.deactivate(limitId);
+        if (!limit) throw new NotFoundError('Spending limit not found');
+
+        console.log(`spending limit deactivated: ${limitId}`);
+        return limit;
+    }
+}
+
+module.exports = SpendingLimitService;
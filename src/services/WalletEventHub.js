@@ -0,0 +1,128 @@
+'use strict';
+
+const CHANNEL = 'wallet_activity';
+
+// Fans ledger activity out to SSE subscribers across every API instance. Writers
+// publish with pg_notify after commit; each process holds one LISTEN connection
+// and routes notifications to the subscribers of the affected wallet.
+class WalletEventHub {
+
+    constructor(pool) {
+        this.pool = pool;
+        this.subscribers = new Map();
+        this.client = null;
+        this.connecting = null;
+    }
+
+
+    async publish(events) {
+        if (events.length === 0) return;
+
+        await this.pool.query(`
+      SELECT pg_notify($1, payload)
+      FROM unnest($2::text[]) AS payload
+    `, [CHANNEL, events.map(event => JSON.stringify(event))]);
+    }
+
+
+    // subscriber: { onEvent(event), onReset() }. onReset is called when the LISTEN
+    // connection is lost or the hub closes; the stream should end so the client
+    // reconnects and catches up with Last-Event-ID.
+    async subscribe(walletId, subscriber) {
+        await this._listen();
+
+        if (!this.subscribers.has(walletId)) {
+            this.subscribers.set(walletId, new Set());
+        }
+        this.subscribers.get(walletId).add(subscriber);
+
+        return () => {
+            const walletSubscribers = this.subscribers.get(walletId);
+            if (!walletSubscribers) return;
+
+            walletSubscribers.delete(subscriber);
+            if (walletSubscribers.size === 0) {
+                this.subscribers.delete(walletId);
+            }
+        };
+    }
+
+
+    async close() {
+        this._resetSubscribers();
+
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+            client.release();
+        }
+    }
+
+
+    async _listen() {
+        if (this.client) return;
+        if (this.connecting) return this.connecting;
+
+        this.connecting = (async () => {
+            const client = await this.pool.connect();
+
+            client.on('notification', (msg) => this._dispatch(msg.payload));
+            client.on('error', (err) => this._handleConnectionLoss(client, err));
+
+            try {
+                await client.query(`LISTEN ${CHANNEL}`);
+            } catch (err) {
+                client.release(err);
+                throw err;
+            }
+
+            this.client = client;
+        })().finally(() => {
+            this.connecting = null;
+        });
+
+        return this.connecting;
+    }
+
+
+    _dispatch(payload) {
+        let event;
+        try {
+            event = JSON.parse(payload);
+        } catch (err) {
+            console.warn('Ignoring malformed wallet activity notification');
+            return;
+        }
+
+        const walletSubscribers = this.subscribers.get(event.wallet_id);
+        if (!walletSubscribers) return;
+
+        for (const subscriber of walletSubscribers) {
+            subscriber.onEvent(event);
+        }
+    }
+
+
+    _handleConnectionLoss(client, err) {
+        if (this.client !== client) return;
+
+        console.error('Wallet activity listener lost:', err.message);
+        this.client = null;
+        client.release(err);
+        this._resetSubscribers();
+    }
+
+
+    _resetSubscribers() {
+        const all = [...this.subscribers.values()].flatMap(set => [...set]);
+        this.subscribers.clear();
+
+        for (const subscriber of all) {
+            subscriber.onReset();
+        }
+    }
+}
+
+WalletEventHub.CHANNEL = CHANNEL;
+
+module.exports = WalletEventHub;
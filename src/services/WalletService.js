@@ -1,54 +1,154 @@
 'use strict';
 
 const { v4: uuidv4 } = require('uuid');
+const { Decimal, parseAmount, formatAmount } = require('../utils/decimal');
 const { withTransaction } = require('../db/pool');
+const config = require('../config');
+const { computeFee } = require('../utils/fees');
 const {
     BadRequestError,
     NotFoundError,
     ConflictError,
     UnprocessableEntityError,
+    LimitExceededError,
 } = require('../errors/ApiError');
 const IdempotencyRepository = require('../repositories/IdempotencyRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
 
 
 const SYSTEM_REFS = {
     TREASURY: 'system:treasury',
     BONUS_POOL: 'system:bonus_pool',
     REVENUE: 'system:revenue',
+    MARKET_MAKER: 'system:market_maker',
+    ISSUANCE: 'system:issuance',
+};
+
+
+const DEBIT_CHECKED_TYPES = new Set(['spend', 'transfer']);
+
+
+// User debits that count against spending limits. Reversals and credit expiry
+// are operator and system corrections, so they neither count nor get checked.
+const LIMITED_DEBIT_TYPES = new Set(['spend', 'transfer', 'exchange', 'multi_leg']);
+
+
+const FEE_TRANSACTION_TYPES = new Set(['topup', 'bonus', 'spend', 'transfer']);
+
+
+const SUPPLY_TRANSACTION_TYPES = new Set(['mint', 'burn']);
+
+
+const LIMIT_PERIOD_SECONDS = {
+    hour: 60 * 60,
+    day: 24 * 60 * 60,
+};
+
+
+const WALLET_TRANSITIONS = {
+    freeze: { from: ['active'], to: 'frozen', event: 'wallet.frozen' },
+    unfreeze: { from: ['frozen'], to: 'active', event: 'wallet.unfrozen' },
+    close: { from: ['active', 'frozen'], to: 'closed', event: 'wallet.closed' },
 };
 
 class WalletService {
 
-    constructor({ walletRepo, ledgerRepo, txRepo, assetRepo, idemRepo }) {
+    constructor({
+        walletRepo,
+        ledgerRepo,
+        txRepo,
+        assetRepo,
+        idemRepo,
+        outboxRepo,
+        holdRepo,
+        creditLotRepo,
+        spendingLimitRepo,
+        exchangeRateRepo,
+        exchangeQuoteRepo,
+        feeRepo,
+        creditLineRepo,
+        eventHub,
+    }) {
         this.walletRepo = walletRepo;
         this.ledgerRepo = ledgerRepo;
         this.txRepo = txRepo;
         this.assetRepo = assetRepo;
         this.idemRepo = idemRepo;
+        this.outboxRepo = outboxRepo;
+        this.holdRepo = holdRepo;
+        this.creditLotRepo = creditLotRepo;
+        this.spendingLimitRepo = spendingLimitRepo;
+        this.exchangeRateRepo = exchangeRateRepo;
+        this.exchangeQuoteRepo = exchangeQuoteRepo;
+        this.feeRepo = feeRepo;
+        this.creditLineRepo = creditLineRepo;
+        this.eventHub = eventHub;
     }
 
 
-    async getBalance(walletId) {
-        const wallet = await this.walletRepo.getById(walletId);
-        if (!wallet) throw new NotFoundError('Wallet not found');
+    async getBalance(walletId, { asOf = null, ownerScope = null } = {}) {
+        const wallet = await this._getVisibleWallet(walletId, ownerScope);
+
+        if (asOf) {
+            return {
+                wallet_id: walletId,
+                label: wallet.label,
+                as_of: asOf,
+                balances: await this.ledgerRepo.getBalanceAsOf(walletId, asOf),
+            };
+        }
 
-        const balances = await this.ledgerRepo.getBalance(walletId);
+        const [balances, holds, expiredLots, creditLines] = await Promise.all([
+            this.ledgerRepo.getBalance(walletId),
+            this.holdRepo.getHeldByWallet(walletId),
+            this.creditLotRepo.getExpiredByWallet(walletId),
+            this.creditLineRepo.list({ walletId }),
+        ]);
+
+        const heldByAsset = new Map(holds.map(h => [h.asset_type_id, h.held]));
+        const expiredByAsset = new Map(expiredLots.map(l => [l.asset_type_id, l.expired]));
+        const creditByAsset = new Map(creditLines.map(c => [c.asset_type_id, c.credit_limit]));
+
+        // A credit line in an asset the wallet has never held still shows.
+        const unheldCreditLines = creditLines
+            .filter(c => !balances.some(b => b.asset_type_id === c.asset_type_id))
+            .map(c => ({ asset_type_id: c.asset_type_id, asset_name: c.asset_name, symbol: c.symbol, balance: '0' }));
 
         return {
             wallet_id: walletId,
             label: wallet.label,
-            balances,
+            balances: [...balances, ...unheldCreditLines]
+                .sort((a, b) => a.asset_name.localeCompare(b.asset_name))
+                .map((b) => {
+                    const held = heldByAsset.get(b.asset_type_id) || '0';
+                    const expired = expiredByAsset.get(b.asset_type_id) || '0';
+                    const creditLimit = creditByAsset.get(b.asset_type_id) || '0';
+                    const available = new Decimal(b.balance).minus(held).minus(expired);
+
+                    // available_credit is what is left of the line: all of it until
+                    // available funds run out, then less whatever is overdrawn.
+                    return {
+                        ...b,
+                        held,
+                        expired,
+                        available: available.toFixed(),
+                        credit_limit: creditLimit,
+                        available_credit: Decimal.max(
+                            0,
+                            Decimal.min(creditLimit, available.plus(creditLimit))
+                        ).toFixed(),
+                    };
+                }),
         };
     }
 
 
-    async getTransactions(walletId, { limit = 20, offset = 0 } = {}) {
-        const wallet = await this.walletRepo.getById(walletId);
-        if (!wallet) throw new NotFoundError('Wallet not found');
+    async getTransactions(walletId, { limit = 20, cursor = null, filters = {}, ownerScope = null } = {}) {
+        const wallet = await this._getVisibleWallet(walletId, ownerScope);
 
-        const [entries, total] = await Promise.all([
-            this.ledgerRepo.getHistory(walletId, { limit, offset }),
-            this.ledgerRepo.getTotalCount(walletId),
+        const [{ entries, nextCursor }, total] = await Promise.all([
+            this.ledgerRepo.getHistory(walletId, { limit, cursor, filters }),
+            this.ledgerRepo.getTotalCount(walletId, filters),
         ]);
 
         return {
@@ -56,22 +156,168 @@ class WalletService {
             label: wallet.label,
             total,
             limit,
-            offset,
+            next_cursor: nextCursor,
             entries,
         };
     }
 
 
-    async listAssets() {
-        return this.assetRepo.listActive();
+    async getTransaction(transactionId, { ownerScope = null } = {}) {
+        const tx = await this.txRepo.getById(transactionId);
+        if (!tx) throw new NotFoundError('Transaction not found');
+
+        const detail = await this._describeTransaction(tx);
+        if (!this._isVisibleTransaction(detail, ownerScope)) {
+            throw new NotFoundError('Transaction not found');
+        }
+
+        return detail;
+    }
+
+
+    async findTransactionsByReference(reference, { ownerScope = null } = {}) {
+        const transactions = await this.txRepo.listByReference(reference);
+        const details = await Promise.all(transactions.map(tx => this._describeTransaction(tx)));
+
+        return details.filter(detail => this._isVisibleTransaction(detail, ownerScope));
+    }
+
+
+    _isVisibleTransaction(detail, ownerScope) {
+        return !ownerScope || detail.legs.some(leg => leg.owner_ref === ownerScope);
+    }
+
+
+    async _describeTransaction(tx) {
+        const [legs, idempotency, reversalIds] = await Promise.all([
+            this.ledgerRepo.getEntriesByTransaction(tx.id),
+            this.idemRepo.getByTransactionId(tx.id),
+            this.txRepo.listReversalIds(tx.id),
+        ]);
+
+        return {
+            ...tx,
+            reversed_by: reversalIds,
+            idempotency_key: idempotency ? idempotency.idem_key : null,
+            legs,
+        };
+    }
+
+
+    async getActivityAfter(walletId, { cursor = null, limit = 200, ownerScope = null } = {}) {
+        await this._getVisibleWallet(walletId, ownerScope);
+
+        if (!cursor) return [];
+
+        return this.ledgerRepo.getEntriesAfter(walletId, { cursor, limit });
     }
 
 
-    async listWallets() {
+    async listWallets({ ownerScope = null } = {}) {
+        if (ownerScope) {
+            const wallet = await this.walletRepo.getByOwnerRef(ownerScope);
+            return wallet ? [wallet] : [];
+        }
+
         return this.walletRepo.listAll();
     }
 
 
+    async _getVisibleWallet(walletId, ownerScope) {
+        const wallet = await this.walletRepo.getById(walletId);
+
+        // Someone else's wallet is reported exactly like a missing one so IDs can't be probed.
+        if (!wallet || (ownerScope && wallet.owner_ref !== ownerScope)) {
+            throw new NotFoundError('Wallet not found');
+        }
+
+        return wallet;
+    }
+
+
+    async createWallet({ ownerRef, ownerType, label }) {
+        const existing = await this.walletRepo.getByOwnerRef(ownerRef);
+        if (existing) {
+            throw new ConflictError(`Wallet already exists for owner_ref: ${ownerRef}`);
+        }
+
+        const wallet = await this.walletRepo.create({ ownerRef, ownerType, label });
+
+        console.log(`wallet created: ${wallet.id} (${ownerRef})`);
+        return wallet;
+    }
+
+
+    async updateWallet(walletId, { label }) {
+        const wallet = await this.walletRepo.getById(walletId);
+        if (!wallet) throw new NotFoundError('Wallet not found');
+
+        if (wallet.status === 'closed') {
+            throw new ConflictError('Closed wallets cannot be modified');
+        }
+
+        return this.walletRepo.updateLabel(walletId, label);
+    }
+
+
+    async changeWalletStatus(walletId, action, { performedBy, reason }) {
+        const transition = WALLET_TRANSITIONS[action];
+        if (!transition) {
+            throw new BadRequestError(`Unknown wallet action: ${action}`);
+        }
+
+        const result = await withTransaction(async (client) => {
+            const walletMap = await this.walletRepo.lockWallets(client, walletId);
+            const wallet = walletMap[walletId];
+
+            if (wallet.owner_type === 'system') {
+                throw new BadRequestError(`Cannot ${action} a system wallet`);
+            }
+
+            if (!transition.from.includes(wallet.status)) {
+                throw new ConflictError(`Cannot ${action} a wallet that is ${wallet.status}`);
+            }
+
+            if (action === 'close') {
+                const balances = await this.ledgerRepo.getNonZeroBalances(client, walletId);
+
+                if (balances.length > 0) {
+                    const summary = balances.map(b => `${b.balance} ${b.symbol}`).join(', ');
+                    throw new UnprocessableEntityError(
+                        `Cannot close wallet with non-zero balance: ${summary}`
+                    );
+                }
+            }
+
+            const updated = await this.walletRepo.updateStatus(client, walletId, transition.to);
+
+            const event = await this.walletRepo.insertStatusEvent(client, {
+                walletId,
+                action,
+                fromStatus: wallet.status,
+                toStatus: transition.to,
+                performedBy,
+                reason,
+            });
+
+            await this.outboxRepo.publish(client, transition.event, {
+                wallet_id: walletId,
+                owner_ref: wallet.owner_ref,
+                from_status: wallet.status,
+                to_status: transition.to,
+                performed_by: performedBy,
+                reason,
+                occurred_at: event.created_at,
+            });
+
+            return { wallet: updated, event };
+        });
+
+        console.log(`wallet ${action} completed: ${walletId}`);
+        return result;
+    }
+
+
     async topUp(walletId, { assetTypeId, amount, reference, initiatedBy, metadata }, idemKey, endpoint) {
         const treasuryWallet = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.TREASURY);
         if (!treasuryWallet) {
@@ -93,7 +339,158 @@ class WalletService {
     }
 
 
-    async bonus(walletId, { assetTypeId, amount, reference, initiatedBy, metadata }, idemKey, endpoint) {
+    // Mints move new supply from system:issuance into the treasury, up to the
+    // asset's supply cap; burns send unissued treasury supply back.
+    async mint(assetTypeId, { amount, reference, initiatedBy, metadata }, idemKey, endpoint) {
+        const { issuance, treasury } = await this._getSupplyWallets();
+
+        return this._executeTransfer({
+            fromWalletId: issuance.id,
+            toWalletId: treasury.id,
+            txType: 'mint',
+            assetTypeId,
+            amount,
+            reference,
+            initiatedBy,
+            metadata,
+            idemKey,
+            endpoint,
+        });
+    }
+
+
+    async burn(assetTypeId, { amount, reference, initiatedBy, metadata }, idemKey, endpoint) {
+        const { issuance, treasury } = await this._getSupplyWallets();
+
+        return this._executeTransfer({
+            fromWalletId: treasury.id,
+            toWalletId: issuance.id,
+            txType: 'burn',
+            assetTypeId,
+            amount,
+            reference,
+            initiatedBy,
+            metadata,
+            idemKey,
+            endpoint,
+        });
+    }
+
+
+    async fundBonusPool(assetTypeId, { amount, reference, initiatedBy, metadata }, idemKey, endpoint) {
+        const { treasury } = await this._getSupplyWallets();
+
+        const bonusPool = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.BONUS_POOL);
+        if (!bonusPool) {
+            throw new NotFoundError('Bonus Pool system wallet not configured');
+        }
+
+        return this._executeTransfer({
+            fromWalletId: treasury.id,
+            toWalletId: bonusPool.id,
+            txType: 'funding',
+            assetTypeId,
+            amount,
+            reference,
+            initiatedBy,
+            metadata,
+            idemKey,
+            endpoint,
+        });
+    }
+
+
+    async fundMarketMaker(assetTypeId, { amount, reference, initiatedBy, metadata }, idemKey, endpoint) {
+        const { treasury } = await this._getSupplyWallets();
+
+        const marketMaker = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.MARKET_MAKER);
+        if (!marketMaker) {
+            throw new NotFoundError('Market Maker system wallet not configured');
+        }
+
+        return this._executeTransfer({
+            fromWalletId: treasury.id,
+            toWalletId: marketMaker.id,
+            txType: 'funding',
+            assetTypeId,
+            amount,
+            reference,
+            initiatedBy,
+            metadata,
+            idemKey,
+            endpoint,
+        });
+    }
+
+
+    // Supply is minted less burned, plus whatever system wallets other than
+    // issuance are overdrawn: that was paid out without being minted. It always
+    // equals what users hold plus what the system wallets, the treasury
+    // included, hold.
+    async getSupplyReport({ assetTypeId = null } = {}) {
+        const { issuance } = await this._getSupplyWallets();
+
+        let assets;
+        if (assetTypeId) {
+            const asset = await this.assetRepo.getById(assetTypeId);
+            if (!asset) throw new NotFoundError(`Asset type not found: ${assetTypeId}`);
+            assets = [asset];
+        } else {
+            assets = await this.assetRepo.listActive();
+        }
+
+        const { totals, holdings } = await withTransaction(async (client) => {
+
+            await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY');
+
+            return {
+                totals: await this.ledgerRepo.getIssuanceTotals(client, issuance.id),
+                holdings: await this.ledgerRepo.getHoldingsByOwner(client, { excludeWalletId: issuance.id }),
+            };
+        });
+
+        return assets.map((asset) => {
+            const issued = totals.find(t => t.asset_type_id === asset.id);
+            const minted = new Decimal(issued ? issued.minted : 0);
+            const burned = new Decimal(issued ? issued.burned : 0);
+
+            const assetHoldings = holdings.filter(h => h.asset_type_id === asset.id);
+            const circulating = assetHoldings
+                .filter(h => h.owner_ref === null)
+                .reduce((sum, h) => sum.plus(h.balance), new Decimal(0));
+            const systemWallets = assetHoldings.filter(h => h.owner_ref !== null);
+            const heldBySystem = systemWallets
+                .reduce((sum, h) => sum.plus(Decimal.max(h.balance, 0)), new Decimal(0));
+            const overdrawn = systemWallets
+                .reduce((sum, h) => sum.plus(Decimal.max(new Decimal(h.balance).negated(), 0)), new Decimal(0));
+
+            const supply = minted.minus(burned).plus(overdrawn);
+
+            return {
+                asset_type_id: asset.id,
+                symbol: asset.symbol,
+                supply_cap: asset.supply_cap,
+                minted: minted.toFixed(),
+                burned: burned.toFixed(),
+                system_overdraft: overdrawn.toFixed(),
+                supply: supply.toFixed(),
+                mintable: asset.supply_cap === null
+                    ? null
+                    : Decimal.max(new Decimal(asset.supply_cap).minus(supply), 0).toFixed(),
+                circulating: circulating.toFixed(),
+                held_in_system_wallets: heldBySystem.toFixed(),
+                system_wallets: systemWallets.map(h => ({
+                    owner_ref: h.owner_ref,
+                    balance: formatAmount(h.balance),
+                })),
+            };
+        });
+    }
+
+
+    // With expiresInDays the credit is recorded as a lot that the expiry sweeper
+    // returns to the bonus pool, less whatever has been spent, once it lapses.
+    async bonus(walletId, { assetTypeId, amount, reference, initiatedBy, metadata, expiresInDays = null }, idemKey, endpoint) {
 
         const bonusPool = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.BONUS_POOL);
 
@@ -112,11 +509,12 @@ class WalletService {
             metadata,
             idemKey,
             endpoint,
+            expiresInDays,
         });
     }
 
 
-    async spend(walletId, { assetTypeId, amount, reference, initiatedBy, metadata }, idemKey, endpoint) {
+    async spend(walletId, { assetTypeId, amount, reference, initiatedBy, metadata, ownerScope }, idemKey, endpoint) {
 
         const revenueWallet = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.REVENUE);
 
@@ -135,51 +533,50 @@ class WalletService {
             metadata,
             idemKey,
             endpoint,
+            ownerScope,
         });
     }
 
 
-    async _executeTransfer({
-        fromWalletId,
-        toWalletId,
-        txType,
-        assetTypeId,
-        amount,
-        reference,
-        initiatedBy = 'system',
-        metadata,
-        idemKey,
-        endpoint,
-    }) {
-
-
-        const numAmount = parseFloat(amount);
+    async transfer(walletId, { toWalletId, assetTypeId, amount, reference, initiatedBy, metadata, ownerScope }, idemKey, endpoint) {
 
-        if (isNaN(numAmount) || numAmount <= 0) {
-            throw new BadRequestError('Amount must be a positive number');
+        if (walletId === toWalletId) {
+            throw new BadRequestError('Cannot transfer to the same wallet');
         }
 
-
-        const requestHash = IdempotencyRepository.hashRequest({
+        return this._executeTransfer({
+            fromWalletId: walletId,
+            toWalletId,
+            txType: 'transfer',
             assetTypeId,
             amount,
             reference,
+            initiatedBy,
+            metadata,
+            idemKey,
+            endpoint,
+            ownerScope,
         });
+    }
 
-        const existing = await this.idemRepo.get(idemKey);
-        if (existing) {
-
-            if (existing.request_hash !== requestHash) {
-                throw new ConflictError(
-                    'Idempotency-Key already used with a different request body'
-                );
-            }
 
+    async createHold(walletId, { assetTypeId, amount, reference, expiresInSeconds, initiatedBy, metadata }, idemKey, endpoint) {
+        const exactAmount = parseAmount(amount);
 
-            console.log(`Idempotency cache hit: ${idemKey}`);
-            return { data: existing.response_body, fromCache: true };
+        if (!exactAmount) {
+            throw new BadRequestError('Amount must be a positive decimal with at most 8 decimal places');
         }
 
+        const requestHash = IdempotencyRepository.hashRequest({
+            assetTypeId,
+            amount: exactAmount.toFixed(),
+            reference,
+            expiresInSeconds,
+        });
+
+        const cached = await this._findCachedResponse(idemKey, requestHash, endpoint);
+        if (cached) return cached;
+
 
         const asset = await this.assetRepo.getById(assetTypeId);
         if (!asset) {
@@ -189,95 +586,1416 @@ class WalletService {
             throw new BadRequestError('Asset type is not active');
         }
 
+        this._assertAssetLimits(asset, exactAmount, 'spend');
 
-        const result = await withTransaction(async (client) => {
-
-
-            const walletMap = await this.walletRepo.lockWallets(
-                client,
-                fromWalletId,
-                toWalletId
-            );
 
+        const hold = await withTransaction(async (client) => {
+            const walletMap = await this.walletRepo.lockWallets(client, walletId);
+            const wallet = walletMap[walletId];
 
-            if (!walletMap[fromWalletId].is_active) {
-                throw new BadRequestError('Source wallet is inactive');
+            if (!wallet.is_active) {
+                throw new BadRequestError('Wallet is inactive');
             }
-            if (!walletMap[toWalletId].is_active) {
-                throw new BadRequestError('Destination wallet is inactive');
+            if (wallet.owner_type !== 'user') {
+                throw new BadRequestError('Holds can only be placed on user wallets');
             }
 
+            const { available } = await this._getAvailableBalance(client, walletId, assetTypeId, {
+                includeCredit: true,
+            });
 
-            if (txType === 'spend') {
-                const balance = await this.ledgerRepo.getBalanceForAsset(
-                    client,
-                    fromWalletId,
-                    assetTypeId
+            if (available.lt(exactAmount)) {
+                throw new UnprocessableEntityError(
+                    `Insufficient available balance: have ${available.toFixed()}, need ${exactAmount.toFixed()}`
                 );
-
-                if (balance < numAmount) {
-                    throw new UnprocessableEntityError(
-                        `Insufficient balance: have ${balance}, need ${numAmount}`
-                    );
-                }
             }
 
+            // Checked again on capture; refusing here keeps a hold from reserving
+            // funds its capture could never move.
+            await this._assertSpendingLimits(client, { wallet, asset, amount: exactAmount });
 
-            const txId = uuidv4();
-            const tx = await this.txRepo.insert(client, {
-                id: txId,
-                transactionType: txType,
+            const created = await this.holdRepo.create(client, {
+                walletId,
+                assetTypeId,
+                amount: exactAmount.toFixed(),
                 reference,
                 initiatedBy,
                 metadata,
+                expiresInSeconds,
             });
 
-
-            await this.ledgerRepo.insertEntry(client, {
-                transactionId: txId,
-                walletId: fromWalletId,
-                assetTypeId,
-                direction: 'debit',
-                amount: numAmount,
-            });
-
-
-            await this.ledgerRepo.insertEntry(client, {
-                transactionId: txId,
-                walletId: toWalletId,
-                assetTypeId,
-                direction: 'credit',
-                amount: numAmount,
-            });
-
-
-            const transferResult = {
-                transaction_id: txId,
-                transaction_type: txType,
-                reference,
-                asset_type_id: assetTypeId,
-                asset_symbol: asset.symbol,
-                amount: numAmount,
-                from_wallet_id: fromWalletId,
-                to_wallet_id: toWalletId,
-                created_at: tx.created_at,
-            };
-
-
             await this.idemRepo.store(client, {
                 idemKey,
                 endpoint,
                 requestHash,
                 responseStatus: 201,
-                responseBody: transferResult,
-                transactionId: txId,
+                responseBody: created,
+                transactionId: null,
             });
 
-            return transferResult;
+            return created;
         });
 
-        console.log(`${txType} completed: ${result.transaction_id}`);
-        return { data: result, fromCache: false };
+        console.log(`hold placed: ${hold.id} (${hold.amount} ${asset.symbol} on ${walletId})`);
+        return { data: hold, fromCache: false };
+    }
+
+
+    async getHold(holdId, { ownerScope = null } = {}) {
+        const hold = await this.holdRepo.getById(holdId);
+        if (!hold) throw new NotFoundError('Hold not found');
+
+        if (ownerScope) {
+            const wallet = await this.walletRepo.getById(hold.wallet_id);
+            if (!wallet || wallet.owner_ref !== ownerScope) {
+                throw new NotFoundError('Hold not found');
+            }
+        }
+
+        return hold;
+    }
+
+
+    async listHolds(walletId, { status = null, ownerScope = null } = {}) {
+        await this._getVisibleWallet(walletId, ownerScope);
+
+        const holds = await this.holdRepo.listByWallet(walletId, { status });
+        return { wallet_id: walletId, holds };
+    }
+
+
+    // Captures move funds to revenue as a normal spend linked to the hold. Omitting
+    // the amount captures whatever remains; a partial capture leaves the rest held.
+    async captureHold(holdId, { amount, reference, initiatedBy, metadata }, idemKey, endpoint) {
+        const hold = await this.getHold(holdId);
+
+        const revenueWallet = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.REVENUE);
+
+        if (!revenueWallet) {
+            throw new NotFoundError('Revenue system wallet not configured');
+        }
+
+        return this._executeTransfer({
+            fromWalletId: hold.wallet_id,
+            toWalletId: revenueWallet.id,
+            txType: 'spend',
+            assetTypeId: hold.asset_type_id,
+            amount: amount ?? hold.remaining_amount,
+            reference: reference || hold.reference,
+            initiatedBy,
+            metadata,
+            idemKey,
+            endpoint,
+            holdId,
+        });
+    }
+
+
+    async voidHold(holdId) {
+        const hold = await withTransaction(async (client) => {
+            const locked = await this.holdRepo.lockById(client, holdId);
+
+            if (!locked) {
+                throw new NotFoundError('Hold not found');
+            }
+            if (locked.status !== 'active') {
+                throw new ConflictError(`Cannot void a hold that is ${locked.status}`);
+            }
+
+            return this.holdRepo.void(client, holdId);
+        });
+
+        console.log(`hold voided: ${holdId}`);
+        return hold;
+    }
+
+
+    async reverse(transactionId, { amount, reference, initiatedBy, metadata }, idemKey, endpoint) {
+        const original = await this.txRepo.getById(transactionId);
+        if (!original) throw new NotFoundError('Transaction not found');
+
+        if (original.transaction_type === 'reversal') {
+            throw new BadRequestError('A reversal cannot itself be reversed');
+        }
+
+        if (SUPPLY_TRANSACTION_TYPES.has(original.transaction_type)) {
+            throw new BadRequestError('Mints and burns cannot be reversed; burn or mint the amount instead');
+        }
+
+        const legs = await this.ledgerRepo.getEntriesByTransaction(transactionId);
+        const debitLeg = legs.find(l => l.direction === 'debit');
+        const creditLegs = legs.filter(l => l.direction === 'credit');
+
+        // A fee-bearing transaction carries a third leg to the revenue wallet. Only
+        // the payee's net credit is reversed; the fee itself is not refunded.
+        const expectedLegs = original.fee_amount ? 3 : 2;
+        const creditLeg = expectedLegs === 3
+            ? await this._payeeLeg(creditLegs)
+            : creditLegs[0];
+
+        if (legs.length !== expectedLegs || !debitLeg || !creditLeg) {
+            throw new UnprocessableEntityError('Only two-leg transactions can be reversed');
+        }
+
+        return this._executeTransfer({
+            fromWalletId: creditLeg.wallet_id,
+            toWalletId: debitLeg.wallet_id,
+            txType: 'reversal',
+            assetTypeId: creditLeg.asset_type_id,
+            amount,
+            reference: reference || `REVERSAL:${original.reference}`,
+            initiatedBy,
+            metadata,
+            idemKey,
+            endpoint,
+            reversesTransactionId: transactionId,
+        });
+    }
+
+
+    async _payeeLeg(creditLegs) {
+        const revenueWallet = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.REVENUE);
+        const payeeLegs = creditLegs.filter(l => l.wallet_id !== revenueWallet?.id);
+
+        // A fee charged to a transfer into the revenue wallet itself has two
+        // revenue credits; the first one is the payee's.
+        return payeeLegs[0] || creditLegs[0];
+    }
+
+
+    // A quote fixes the current rate and both amounts until expires_at. The
+    // credited amount is rounded down to the target asset's decimal places.
+    async createExchangeQuote(walletId, { fromAssetTypeId, toAssetTypeId, amount, ownerScope = null }) {
+        const wallet = await this._getVisibleWallet(walletId, ownerScope);
+        if (wallet.owner_type !== 'user') {
+            throw new BadRequestError('Only user wallets can exchange assets');
+        }
+
+        if (fromAssetTypeId === toAssetTypeId) {
+            throw new BadRequestError('Cannot exchange an asset for itself');
+        }
+
+        const exactAmount = parseAmount(amount);
+        if (!exactAmount) {
+            throw new BadRequestError('Amount must be a positive decimal with at most 8 decimal places');
+        }
+
+        const [fromAsset, toAsset] = await Promise.all([
+            this.assetRepo.getById(fromAssetTypeId),
+            this.assetRepo.getById(toAssetTypeId),
+        ]);
+
+        for (const [id, asset] of [[fromAssetTypeId, fromAsset], [toAssetTypeId, toAsset]]) {
+            if (!asset) {
+                throw new NotFoundError(`Asset type not found: ${id}`);
+            }
+            if (!asset.is_active) {
+                throw new BadRequestError(`Asset type is not active: ${asset.symbol}`);
+            }
+        }
+
+        this._assertAssetLimits(fromAsset, exactAmount, 'exchange');
+
+        const rate = await this.exchangeRateRepo.getCurrent(fromAssetTypeId, toAssetTypeId);
+        if (!rate) {
+            throw new UnprocessableEntityError(`No exchange rate set for ${fromAsset.symbol} to ${toAsset.symbol}`);
+        }
+
+        const toAmount = exactAmount.times(rate.rate).toDecimalPlaces(toAsset.decimal_places, Decimal.ROUND_DOWN);
+        if (toAmount.lte(0)) {
+            throw new BadRequestError(
+                `Amount too small: ${exactAmount.toFixed()} ${fromAsset.symbol} buys less than the smallest unit of ${toAsset.symbol}`
+            );
+        }
+
+        const quote = await this.exchangeQuoteRepo.create({
+            walletId,
+            fromAssetTypeId,
+            toAssetTypeId,
+            rateId: rate.id,
+            rate: rate.rate,
+            fromAmount: exactAmount.toFixed(),
+            toAmount: toAmount.toFixed(),
+            ttlSeconds: config.EXCHANGE_QUOTE_TTL_SECONDS,
+        });
+
+        return { ...quote, from_symbol: fromAsset.symbol, to_symbol: toAsset.symbol };
+    }
+
+
+    // Debits one asset and credits another through the market-maker wallet, at
+    // the rate of the given quote. Without a quote ID one is taken at the current
+    // rate and used straight away. Either way a quote is good for one exchange.
+    async exchange(walletId, {
+        quoteId = null,
+        fromAssetTypeId,
+        toAssetTypeId,
+        amount,
+        reference = null,
+        initiatedBy = 'system',
+        metadata,
+        ownerScope = null,
+    }, idemKey, endpoint) {
+
+        const exactAmount = quoteId ? null : parseAmount(amount);
+        if (!quoteId && !exactAmount) {
+            throw new BadRequestError('Amount must be a positive decimal with at most 8 decimal places');
+        }
+
+        const requestHash = IdempotencyRepository.hashRequest(quoteId
+            ? { quoteId, reference }
+            : { fromAssetTypeId, toAssetTypeId, amount: exactAmount.toFixed(), reference });
+
+        const cached = await this._findCachedResponse(idemKey, requestHash, endpoint);
+        if (cached) return cached;
+
+
+        let quote;
+        if (quoteId) {
+            await this._getVisibleWallet(walletId, ownerScope);
+            quote = await this.exchangeQuoteRepo.getById(quoteId);
+        } else {
+            quote = await this.createExchangeQuote(walletId, { fromAssetTypeId, toAssetTypeId, amount: exactAmount, ownerScope });
+        }
+
+        if (!quote || quote.wallet_id !== walletId) {
+            throw new NotFoundError('Exchange quote not found');
+        }
+
+        const marketMaker = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.MARKET_MAKER);
+
+        if (!marketMaker) {
+            throw new NotFoundError('Market Maker system wallet not configured');
+        }
+
+        const [fromAsset, toAsset] = await Promise.all([
+            this.assetRepo.getById(quote.from_asset_type_id),
+            this.assetRepo.getById(quote.to_asset_type_id),
+        ]);
+
+        const fromAmount = new Decimal(quote.from_amount);
+        const toAmount = new Decimal(quote.to_amount);
+        const txReference = reference || `EXCHANGE:${quote.id}`;
+
+
+        const { exchangeResult: result, activity } = await withTransaction(async (client) => {
+
+            const walletMap = await this.walletRepo.lockWallets(client, walletId, marketMaker.id);
+
+            if (!walletMap[walletId].is_active) {
+                throw new BadRequestError('Wallet is inactive');
+            }
+            if (!walletMap[marketMaker.id].is_active) {
+                throw new BadRequestError('Market Maker wallet is inactive');
+            }
+
+
+            const locked = await this.exchangeQuoteRepo.lockById(client, quote.id);
+            if (locked.status !== 'open') {
+                throw new ConflictError(`Exchange quote is ${locked.status}; request a new one`);
+            }
+
+            // A quote outlives the asset check made when it was issued.
+            const assetMap = await this.assetRepo.lockAssets(client, fromAsset.id, toAsset.id);
+            for (const asset of [fromAsset, toAsset]) {
+                if (!assetMap[asset.id].is_active) {
+                    throw new BadRequestError(`Asset type is not active: ${asset.symbol}`);
+                }
+            }
+
+
+            // Like transfers, exchanges can't draw on a credit line. The market
+            // maker pays out the target asset from what it has been funded with.
+            const { available } = await this._getAvailableBalance(client, walletId, fromAsset.id);
+            if (available.lt(fromAmount)) {
+                throw new UnprocessableEntityError(
+                    `Insufficient available ${fromAsset.symbol} balance: have ${available.toFixed()}, need ${fromAmount.toFixed()}`
+                );
+            }
+
+            await this._assertSpendingLimits(client, {
+                wallet: walletMap[walletId],
+                asset: fromAsset,
+                amount: fromAmount,
+            });
+
+            await this._assertSystemWalletCovers(client, {
+                wallet: walletMap[marketMaker.id],
+                asset: toAsset,
+                amount: toAmount,
+            });
+
+
+            const txId = uuidv4();
+            const tx = await this.txRepo.insert(client, {
+                id: txId,
+                transactionType: 'exchange',
+                reference: txReference,
+                initiatedBy,
+                metadata: { ...metadata, quote_id: quote.id, rate: quote.rate },
+            });
+
+            const legs = [
+                { walletId, asset: fromAsset, direction: 'debit', amount: fromAmount },
+                { walletId: marketMaker.id, asset: fromAsset, direction: 'credit', amount: fromAmount },
+                { walletId: marketMaker.id, asset: toAsset, direction: 'debit', amount: toAmount },
+                { walletId, asset: toAsset, direction: 'credit', amount: toAmount },
+            ];
+
+            for (const leg of legs) {
+                leg.entry = await this.ledgerRepo.insertEntry(client, {
+                    transactionId: txId,
+                    walletId: leg.walletId,
+                    assetTypeId: leg.asset.id,
+                    direction: leg.direction,
+                    amount: leg.amount.toFixed(),
+                });
+            }
+
+            await this.creditLotRepo.consume(client, walletId, fromAsset.id, fromAmount.toFixed());
+            await this.exchangeQuoteRepo.markUsed(client, quote.id, txId);
+
+
+            const exchangeResult = {
+                transaction_id: txId,
+                transaction_type: 'exchange',
+                reference: txReference,
+                quote_id: quote.id,
+                wallet_id: walletId,
+                from_asset_type_id: fromAsset.id,
+                from_symbol: fromAsset.symbol,
+                from_amount: fromAmount.toFixed(),
+                to_asset_type_id: toAsset.id,
+                to_symbol: toAsset.symbol,
+                to_amount: toAmount.toFixed(),
+                rate: quote.rate,
+                created_at: tx.created_at,
+            };
+
+
+            await this.outboxRepo.publish(client, 'transaction.created', exchangeResult);
+
+            await this._publishBalanceAlerts(client, {
+                wallet: walletMap[walletId],
+                asset: fromAsset,
+                amount: fromAmount,
+                balanceAfter: legs[0].entry.balance_after,
+            });
+
+
+            await this.idemRepo.store(client, {
+                idemKey,
+                endpoint,
+                requestHash,
+                responseStatus: 201,
+                responseBody: exchangeResult,
+                transactionId: txId,
+            });
+
+            const activity = legs.map(leg => this._activityEvent(leg.entry, {
+                transactionId: txId,
+                transactionType: 'exchange',
+                reference: txReference,
+                walletId: leg.walletId,
+                asset: leg.asset,
+                direction: leg.direction,
+                amount: leg.amount,
+            }));
+
+            return { exchangeResult, activity };
+        });
+
+        await this._notifyActivity(activity);
+
+        console.log(`exchange completed: ${result.transaction_id} (${result.from_amount} ${result.from_symbol} → ${result.to_amount} ${result.to_symbol})`);
+        return { data: result, fromCache: false };
+    }
+
+
+    async listCreditLots(walletId, { status = null, ownerScope = null } = {}) {
+        await this._getVisibleWallet(walletId, ownerScope);
+
+        const lots = await this.creditLotRepo.listByWallet(walletId, { status });
+        return { wallet_id: walletId, credit_lots: lots };
+    }
+
+
+    // Run by the expiry sweeper: what is left of an expired lot goes back to the
+    // bonus pool as an `expiry` transaction. The lot is locked and closed in the
+    // same transaction, so sweeping it twice is a no-op. Returns null when there
+    // was nothing to move.
+    async expireCreditLot(lotId) {
+        const lot = await this.creditLotRepo.getById(lotId);
+        if (!lot) throw new NotFoundError('Credit lot not found');
+
+        const bonusPool = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.BONUS_POOL);
+
+        if (!bonusPool) {
+            throw new NotFoundError('Bonus Pool system wallet not configured');
+        }
+
+        const asset = await this.assetRepo.getById(lot.asset_type_id);
+
+
+        const { expiryResult: result, activity } = await withTransaction(async (client) => {
+
+            const walletMap = await this.walletRepo.lockWallets(client, lot.wallet_id, bonusPool.id);
+
+            const locked = await this.creditLotRepo.lockExpirable(client, lotId);
+            if (!locked) {
+                return { expiryResult: null, activity: [] };
+            }
+
+
+            // Lots are drawn down before other funds, so the remainder is normally
+            // covered by the balance; the cap only guards against a wallet that has
+            // since been debited below it.
+            const balance = await this.ledgerRepo.getBalanceForAsset(client, lot.wallet_id, lot.asset_type_id);
+            const expiredAmount = Decimal.min(locked.remaining_amount, Decimal.max(balance, 0));
+
+            if (expiredAmount.isZero()) {
+                await this.creditLotRepo.recordExpiry(client, lotId, { expiredAmount: '0', transactionId: null });
+                return { expiryResult: null, activity: [] };
+            }
+
+
+            const txId = uuidv4();
+            const reference = `EXPIRY:${lot.transaction_id}`;
+            const tx = await this.txRepo.insert(client, {
+                id: txId,
+                transactionType: 'expiry',
+                reference,
+                initiatedBy: 'system',
+                metadata: { credit_lot_id: lotId },
+            });
+
+            const debitEntry = await this.ledgerRepo.insertEntry(client, {
+                transactionId: txId,
+                walletId: lot.wallet_id,
+                assetTypeId: lot.asset_type_id,
+                direction: 'debit',
+                amount: expiredAmount.toFixed(),
+            });
+
+            const creditEntry = await this.ledgerRepo.insertEntry(client, {
+                transactionId: txId,
+                walletId: bonusPool.id,
+                assetTypeId: lot.asset_type_id,
+                direction: 'credit',
+                amount: expiredAmount.toFixed(),
+            });
+
+            await this.creditLotRepo.recordExpiry(client, lotId, {
+                expiredAmount: expiredAmount.toFixed(),
+                transactionId: txId,
+            });
+
+
+            const expiryResult = {
+                transaction_id: txId,
+                transaction_type: 'expiry',
+                reference,
+                asset_type_id: lot.asset_type_id,
+                asset_symbol: asset.symbol,
+                amount: expiredAmount.toFixed(),
+                from_wallet_id: lot.wallet_id,
+                to_wallet_id: bonusPool.id,
+                credit_lot_id: lotId,
+                created_at: tx.created_at,
+            };
+
+            await this.outboxRepo.publish(client, 'transaction.created', expiryResult);
+
+            await this._publishBalanceAlerts(client, {
+                wallet: walletMap[lot.wallet_id],
+                asset,
+                amount: expiredAmount,
+                balanceAfter: debitEntry.balance_after,
+            });
+
+            const activity = [
+                { entry: debitEntry, walletId: lot.wallet_id, direction: 'debit' },
+                { entry: creditEntry, walletId: bonusPool.id, direction: 'credit' },
+            ].map(leg => this._activityEvent(leg.entry, {
+                transactionId: txId,
+                transactionType: 'expiry',
+                reference,
+                walletId: leg.walletId,
+                asset,
+                direction: leg.direction,
+                amount: expiredAmount,
+            }));
+
+            return { expiryResult, activity };
+        });
+
+        if (!result) return null;
+
+        await this._notifyActivity(activity);
+
+        console.log(`expiry completed: ${result.transaction_id} (lot ${lotId})`);
+        return result;
+    }
+
+
+    // Legs may span any number of wallets and assets, but each asset's debits must
+    // equal its credits. User wallets must cover their debits; system wallets, as
+    // with top-ups and bonuses, may run negative.
+    async createMultiLegTransaction({ legs, reference, initiatedBy = 'system', metadata }, idemKey, endpoint) {
+        const exactLegs = legs.map((leg, i) => {
+            const exactAmount = parseAmount(leg.amount);
+            if (!exactAmount) {
+                throw new BadRequestError(`legs[${i}].amount must be a positive decimal with at most 8 decimal places`);
+            }
+            return { ...leg, amount: exactAmount };
+        });
+
+        const requestHash = IdempotencyRepository.hashRequest({
+            reference,
+            legs: exactLegs.map(l => [l.walletId, l.assetTypeId, l.direction, l.amount.toFixed()]),
+        });
+
+        const cached = await this._findCachedResponse(idemKey, requestHash, endpoint);
+        if (cached) return cached;
+
+
+        const totals = new Map();
+        const walletSides = new Map();
+
+        for (const leg of exactLegs) {
+            const assetTotals = totals.get(leg.assetTypeId) || { debit: new Decimal(0), credit: new Decimal(0) };
+            assetTotals[leg.direction] = assetTotals[leg.direction].plus(leg.amount);
+            totals.set(leg.assetTypeId, assetTotals);
+
+            const sideKey = `${leg.walletId}:${leg.assetTypeId}`;
+            const sides = walletSides.get(sideKey) || new Set();
+            sides.add(leg.direction);
+            walletSides.set(sideKey, sides);
+        }
+
+        for (const [assetTypeId, { debit, credit }] of totals) {
+            if (!debit.eq(credit)) {
+                throw new BadRequestError(
+                    `Legs do not balance for asset ${assetTypeId}: debits ${debit.toFixed()}, credits ${credit.toFixed()}`
+                );
+            }
+        }
+
+        for (const [sideKey, sides] of walletSides) {
+            if (sides.size > 1) {
+                const [walletId] = sideKey.split(':');
+                throw new BadRequestError(
+                    `Wallet ${walletId} is both debited and credited in the same asset; net the legs instead`
+                );
+            }
+        }
+
+
+        const assets = new Map();
+        for (const assetTypeId of totals.keys()) {
+            const asset = await this.assetRepo.getById(assetTypeId);
+            if (!asset) {
+                throw new NotFoundError(`Asset type not found: ${assetTypeId}`);
+            }
+            if (!asset.is_active) {
+                throw new BadRequestError(`Asset type is not active: ${asset.symbol}`);
+            }
+            assets.set(assetTypeId, asset);
+        }
+
+        for (const leg of exactLegs) {
+            this._assertAssetLimits(assets.get(leg.assetTypeId), leg.amount, 'multi_leg');
+        }
+
+
+        const { transactionResult: result, activity } = await withTransaction(async (client) => {
+
+            const walletIds = [...new Set(exactLegs.map(l => l.walletId))];
+            const walletMap = await this.walletRepo.lockWallets(client, ...walletIds);
+
+            for (const walletId of walletIds) {
+                if (!walletMap[walletId].is_active) {
+                    throw new BadRequestError(`Wallet is inactive: ${walletId}`);
+                }
+                if (walletMap[walletId].owner_ref === SYSTEM_REFS.ISSUANCE) {
+                    throw new BadRequestError('The issuance wallet only moves through mints and burns');
+                }
+            }
+
+
+            const userDebits = new Map();
+            for (const leg of exactLegs) {
+                if (leg.direction !== 'debit' || walletMap[leg.walletId].owner_type !== 'user') continue;
+
+                const key = `${leg.walletId}:${leg.assetTypeId}`;
+                const debit = userDebits.get(key) || { ...leg, amount: new Decimal(0) };
+                debit.amount = debit.amount.plus(leg.amount);
+                userDebits.set(key, debit);
+            }
+
+            for (const { walletId, assetTypeId, amount } of userDebits.values()) {
+                const { available } = await this._getAvailableBalance(client, walletId, assetTypeId);
+
+                if (available.lt(amount)) {
+                    throw new UnprocessableEntityError(
+                        `Insufficient available ${assets.get(assetTypeId).symbol} balance in wallet ${walletId}: ` +
+                        `have ${available.toFixed()}, need ${amount.toFixed()}`
+                    );
+                }
+
+                await this._assertSpendingLimits(client, {
+                    wallet: walletMap[walletId],
+                    asset: assets.get(assetTypeId),
+                    amount,
+                });
+            }
+
+
+            // System wallets, like users, can only pay out what they hold (the bonus
+            // pool down to its overdraft limit).
+            const systemDebits = new Map();
+            for (const leg of exactLegs) {
+                if (leg.direction !== 'debit' || walletMap[leg.walletId].owner_type !== 'system') continue;
+
+                const key = `${leg.walletId}:${leg.assetTypeId}`;
+                const debit = systemDebits.get(key) || { ...leg, amount: new Decimal(0) };
+                debit.amount = debit.amount.plus(leg.amount);
+                systemDebits.set(key, debit);
+            }
+
+            for (const { walletId, assetTypeId, amount } of systemDebits.values()) {
+                await this._assertSystemWalletCovers(client, {
+                    wallet: walletMap[walletId],
+                    asset: assets.get(assetTypeId),
+                    amount,
+                });
+            }
+
+
+            for (const { walletId, assetTypeId, amount } of userDebits.values()) {
+                await this.creditLotRepo.consume(client, walletId, assetTypeId, amount.toFixed());
+            }
+
+
+            const txId = uuidv4();
+            const tx = await this.txRepo.insert(client, {
+                id: txId,
+                transactionType: 'multi_leg',
+                reference,
+                initiatedBy,
+                metadata,
+            });
+
+            const posted = [];
+            for (const leg of exactLegs) {
+                const entry = await this.ledgerRepo.insertEntry(client, {
+                    transactionId: txId,
+                    walletId: leg.walletId,
+                    assetTypeId: leg.assetTypeId,
+                    direction: leg.direction,
+                    amount: leg.amount.toFixed(),
+                });
+                posted.push({ leg, entry });
+            }
+
+
+            const transactionResult = {
+                transaction_id: txId,
+                transaction_type: 'multi_leg',
+                reference,
+                legs: exactLegs.map(leg => ({
+                    wallet_id: leg.walletId,
+                    asset_type_id: leg.assetTypeId,
+                    asset_symbol: assets.get(leg.assetTypeId).symbol,
+                    direction: leg.direction,
+                    amount: leg.amount.toFixed(),
+                })),
+                created_at: tx.created_at,
+            };
+
+
+            await this.outboxRepo.publish(client, 'transaction.created', transactionResult);
+
+            for (const { leg, entry } of posted) {
+                if (leg.direction !== 'debit') continue;
+
+                await this._publishBalanceAlerts(client, {
+                    wallet: walletMap[leg.walletId],
+                    asset: assets.get(leg.assetTypeId),
+                    amount: leg.amount,
+                    balanceAfter: entry.balance_after,
+                });
+            }
+
+
+            await this.idemRepo.store(client, {
+                idemKey,
+                endpoint,
+                requestHash,
+                responseStatus: 201,
+                responseBody: transactionResult,
+                transactionId: txId,
+            });
+
+            const activity = posted.map(({ leg, entry }) => this._activityEvent(entry, {
+                transactionId: txId,
+                transactionType: 'multi_leg',
+                reference,
+                walletId: leg.walletId,
+                asset: assets.get(leg.assetTypeId),
+                direction: leg.direction,
+                amount: leg.amount,
+            }));
+
+            return { transactionResult, activity };
+        });
+
+        await this._notifyActivity(activity);
+
+        console.log(`multi_leg completed: ${result.transaction_id} (${exactLegs.length} legs)`);
+        return { data: result, fromCache: false };
+    }
+
+
+    async _executeTransfer({
+        fromWalletId,
+        toWalletId,
+        txType,
+        assetTypeId,
+        amount,
+        reference,
+        initiatedBy = 'system',
+        metadata,
+        idemKey,
+        endpoint,
+        reversesTransactionId = null,
+        holdId = null,
+        expiresInDays = null,
+        ownerScope = null,
+    }) {
+
+        if (ownerScope) {
+            await this._getVisibleWallet(fromWalletId, ownerScope);
+        }
+
+
+        // A reversal without an amount takes whatever remains of the original,
+        // which is only known once the original is locked below.
+        let exactAmount = null;
+
+        if (amount != null || !reversesTransactionId) {
+            exactAmount = parseAmount(amount);
+
+            if (!exactAmount) {
+                throw new BadRequestError('Amount must be a positive decimal with at most 8 decimal places');
+            }
+        }
+
+
+        const requestHash = IdempotencyRepository.hashRequest({
+            assetTypeId,
+            amount: exactAmount ? exactAmount.toFixed() : null,
+            reference,
+            ...(txType === 'transfer' && { toWalletId }),
+            ...(reversesTransactionId && { reversesTransactionId }),
+            ...(holdId && { holdId }),
+            ...(expiresInDays && { expiresInDays }),
+        });
+
+        const cached = await this._findCachedResponse(idemKey, requestHash, endpoint);
+        if (cached) return cached;
+
+
+        const asset = await this.assetRepo.getById(assetTypeId);
+        if (!asset) {
+            throw new NotFoundError(`Asset type not found: ${assetTypeId}`);
+        }
+        if (!asset.is_active) {
+            throw new BadRequestError('Asset type is not active');
+        }
+
+        if (exactAmount) {
+            this._assertAssetLimits(asset, exactAmount, txType);
+        }
+
+
+        // A fee comes out of the amount: the payer is debited the gross, the payee
+        // credited the net, and the fee is a third leg to the revenue wallet.
+        const feeSchedule = FEE_TRANSACTION_TYPES.has(txType)
+            ? await this.feeRepo.getActive(assetTypeId, txType)
+            : null;
+        const feeAmount = feeSchedule
+            ? computeFee(feeSchedule, exactAmount, asset.decimal_places)
+            : new Decimal(0);
+
+        if (feeAmount.gt(0) && feeAmount.gte(exactAmount)) {
+            throw new UnprocessableEntityError(
+                `Amount does not cover the ${feeAmount.toFixed()} ${asset.symbol} fee`
+            );
+        }
+
+        let feeWallet = null;
+        if (feeAmount.gt(0)) {
+            feeWallet = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.REVENUE);
+            if (!feeWallet) {
+                throw new NotFoundError('Revenue system wallet not configured');
+            }
+        }
+
+
+        const { transferResult: result, activity } = await withTransaction(async (client) => {
+
+
+            const walletMap = await this.walletRepo.lockWallets(
+                client,
+                fromWalletId,
+                toWalletId,
+                ...(feeWallet ? [feeWallet.id] : [])
+            );
+
+
+            if (!walletMap[fromWalletId].is_active) {
+                throw new BadRequestError('Source wallet is inactive');
+            }
+            if (!walletMap[toWalletId].is_active) {
+                throw new BadRequestError('Destination wallet is inactive');
+            }
+
+
+            if (txType === 'transfer' && (
+                walletMap[fromWalletId].owner_type === 'system' ||
+                walletMap[toWalletId].owner_type === 'system'
+            )) {
+                throw new BadRequestError('Transfers to or from system wallets are not allowed');
+            }
+
+            if (expiresInDays && walletMap[toWalletId].owner_type !== 'user') {
+                throw new BadRequestError('Only user wallets can receive expiring credit');
+            }
+
+
+            if (reversesTransactionId) {
+                await this.txRepo.lockById(client, reversesTransactionId);
+
+                const remaining = await this.txRepo.getReversibleAmount(client, reversesTransactionId);
+                if (!exactAmount) {
+                    if (!remaining.gt(0)) {
+                        throw new UnprocessableEntityError('Transaction has already been fully reversed');
+                    }
+                    exactAmount = remaining;
+                }
+                if (exactAmount.gt(remaining)) {
+                    throw new UnprocessableEntityError(
+                        `Reversal exceeds remaining amount: have ${remaining.toFixed()}, need ${exactAmount.toFixed()}`
+                    );
+                }
+            }
+
+            const netAmount = exactAmount.minus(feeAmount);
+
+
+            let hold = null;
+            if (holdId) {
+                hold = await this.holdRepo.lockById(client, holdId);
+
+                if (hold.status !== 'active') {
+                    throw new ConflictError(`Cannot capture a hold that is ${hold.status}`);
+                }
+                if (exactAmount.gt(hold.remaining_amount)) {
+                    throw new UnprocessableEntityError(
+                        `Capture exceeds remaining hold amount: have ${hold.remaining_amount}, need ${exactAmount.toFixed()}`
+                    );
+                }
+            }
+
+
+            // Spends and transfers may only use funds no hold has reserved (a capture
+            // may also use its own hold); spends may also draw on the wallet's credit
+            // line. Reversals claw back against the full balance.
+            if (DEBIT_CHECKED_TYPES.has(txType)) {
+                const { available } = await this._getAvailableBalance(client, fromWalletId, assetTypeId, {
+                    excludeHold: hold,
+                    includeCredit: txType === 'spend',
+                });
+
+                if (available.lt(exactAmount)) {
+                    throw new UnprocessableEntityError(
+                        `Insufficient available balance: have ${available.toFixed()}, need ${exactAmount.toFixed()}`
+                    );
+                }
+
+                await this._assertSpendingLimits(client, {
+                    wallet: walletMap[fromWalletId],
+                    asset,
+                    amount: exactAmount,
+                });
+            } else if (txType === 'reversal' && walletMap[fromWalletId].owner_type === 'user') {
+                const balance = await this.ledgerRepo.getBalanceForAsset(
+                    client,
+                    fromWalletId,
+                    assetTypeId
+                );
+
+                if (balance.lt(exactAmount)) {
+                    throw new UnprocessableEntityError(
+                        `Insufficient balance: have ${balance.toFixed()}, need ${exactAmount.toFixed()}`
+                    );
+                }
+            } else if (txType === 'mint') {
+                await this._assertSupplyCap(client, {
+                    issuanceWalletId: fromWalletId,
+                    asset,
+                    amount: exactAmount,
+                });
+            } else if (walletMap[fromWalletId].owner_type === 'system') {
+                await this._assertSystemWalletCovers(client, {
+                    wallet: walletMap[fromWalletId],
+                    asset,
+                    amount: exactAmount,
+                });
+            }
+
+
+            const txId = uuidv4();
+            const tx = await this.txRepo.insert(client, {
+                id: txId,
+                transactionType: txType,
+                reference,
+                initiatedBy,
+                metadata,
+                reversesTransactionId,
+                holdId,
+                fee: feeWallet && {
+                    grossAmount: exactAmount.toFixed(),
+                    feeAmount: feeAmount.toFixed(),
+                    netAmount: netAmount.toFixed(),
+                    scheduleId: feeSchedule.id,
+                },
+            });
+
+
+            const debitEntry = await this.ledgerRepo.insertEntry(client, {
+                transactionId: txId,
+                walletId: fromWalletId,
+                assetTypeId,
+                direction: 'debit',
+                amount: exactAmount.toFixed(),
+            });
+
+
+            const creditEntry = await this.ledgerRepo.insertEntry(client, {
+                transactionId: txId,
+                walletId: toWalletId,
+                assetTypeId,
+                direction: 'credit',
+                amount: netAmount.toFixed(),
+            });
+
+            const feeEntry = feeWallet && await this.ledgerRepo.insertEntry(client, {
+                transactionId: txId,
+                walletId: feeWallet.id,
+                assetTypeId,
+                direction: 'credit',
+                amount: feeAmount.toFixed(),
+            });
+
+
+            if (walletMap[fromWalletId].owner_type === 'user') {
+                await this.creditLotRepo.consume(client, fromWalletId, assetTypeId, exactAmount.toFixed());
+            }
+
+            let lot = null;
+            if (expiresInDays) {
+                lot = await this.creditLotRepo.create(client, {
+                    walletId: toWalletId,
+                    assetTypeId,
+                    transactionId: txId,
+                    amount: netAmount.toFixed(),
+                    expiresInDays,
+                });
+            }
+
+
+            const transferResult = {
+                transaction_id: txId,
+                transaction_type: txType,
+                reference,
+                asset_type_id: assetTypeId,
+                asset_symbol: asset.symbol,
+                amount: exactAmount.toFixed(),
+                gross_amount: exactAmount.toFixed(),
+                fee_amount: feeAmount.toFixed(),
+                net_amount: netAmount.toFixed(),
+                from_wallet_id: fromWalletId,
+                to_wallet_id: toWalletId,
+                ...(reversesTransactionId && { reverses_transaction_id: reversesTransactionId }),
+                ...(holdId && { hold_id: holdId }),
+                ...(lot && { credit_lot_id: lot.id, expires_at: lot.expires_at }),
+                created_at: tx.created_at,
+            };
+
+            if (holdId) {
+                await this.holdRepo.recordCapture(client, holdId, exactAmount.toFixed());
+            }
+
+
+            await this.outboxRepo.publish(client, 'transaction.created', transferResult);
+
+            await this._publishBalanceAlerts(client, {
+                wallet: walletMap[fromWalletId],
+                asset,
+                amount: exactAmount,
+                balanceAfter: debitEntry.balance_after,
+            });
+
+
+            await this.idemRepo.store(client, {
+                idemKey,
+                endpoint,
+                requestHash,
+                responseStatus: 201,
+                responseBody: transferResult,
+                transactionId: txId,
+            });
+
+            const activity = [
+                { entry: debitEntry, walletId: fromWalletId, direction: 'debit', amount: exactAmount },
+                { entry: creditEntry, walletId: toWalletId, direction: 'credit', amount: netAmount },
+                ...(feeEntry ? [{ entry: feeEntry, walletId: feeWallet.id, direction: 'credit', amount: feeAmount }] : []),
+            ].map(leg => this._activityEvent(leg.entry, {
+                transactionId: txId,
+                transactionType: txType,
+                reference,
+                walletId: leg.walletId,
+                asset,
+                direction: leg.direction,
+                amount: leg.amount,
+                fee: feeWallet && { gross: exactAmount, fee: feeAmount, net: netAmount },
+            }));
+
+            return { transferResult, activity };
+        });
+
+        await this._notifyActivity(activity);
+
+        console.log(`${txType} completed: ${result.transaction_id}`);
+        return { data: result, fromCache: false };
+    }
+
+
+    // A capture passes its own hold as excludeHold: the funds that hold reserved
+    // are exactly the ones it is allowed to take. Expired credit the sweeper has
+    // not collected yet is never available. With includeCredit the wallet's
+    // credit line counts too, so the result is how far it may be debited.
+    async _getAvailableBalance(client, walletId, assetTypeId, { excludeHold = null, includeCredit = false } = {}) {
+        const balance = await this.ledgerRepo.getBalanceForAsset(client, walletId, assetTypeId);
+        let held = await this.holdRepo.getHeldAmount(client, walletId, assetTypeId);
+        const expired = await this.creditLotRepo.getExpiredAmount(client, walletId, assetTypeId);
+        const credit = includeCredit
+            ? await this.creditLineRepo.getLimit(client, walletId, assetTypeId)
+            : new Decimal(0);
+
+        if (excludeHold) {
+            held = held.minus(excludeHold.remaining_amount);
+        }
+
+        return { balance, held, expired, credit, available: balance.minus(held).minus(expired).plus(credit) };
+    }
+
+
+    // Runs under the wallet lock, so concurrent debits can't both squeeze under a
+    // window limit. Rolling windows reset as the oldest counted debits age out.
+    async _assertSpendingLimits(client, { wallet, asset, amount }) {
+        const limits = await this.spendingLimitRepo.findApplicable(client, {
+            walletId: wallet.id,
+            ownerType: wallet.owner_type,
+            assetTypeId: asset.id,
+        });
+
+        for (const limit of limits) {
+            const details = { limit_id: limit.id, period: limit.period, resets_at: null };
+
+            if (limit.max_per_transaction !== null && amount.gt(limit.max_per_transaction)) {
+                throw new LimitExceededError(
+                    `Spending limit exceeded: at most ${limit.max_per_transaction} ${asset.symbol} per transaction`,
+                    { ...details, rule: 'max_per_transaction', limit: limit.max_per_transaction, period: null }
+                );
+            }
+
+            if (!limit.period) continue;
+
+            const periodMs = LIMIT_PERIOD_SECONDS[limit.period] * 1000;
+            const debits = await this.spendingLimitRepo.getDebitsInWindow(client, {
+                walletId: wallet.id,
+                assetTypeId: limit.asset_type_id,
+                transactionTypes: [...LIMITED_DEBIT_TYPES],
+                periodSeconds: LIMIT_PERIOD_SECONDS[limit.period],
+            });
+            const agesOut = debit => new Date(debit.created_at.getTime() + periodMs);
+
+            const maxCount = limit.max_count_per_period;
+            if (maxCount !== null && debits.length >= maxCount) {
+                const resetsAt = agesOut(debits[debits.length - maxCount]);
+                throw new LimitExceededError(
+                    `Spending limit reached: at most ${maxCount} debits per ${limit.period}; resets at ${resetsAt.toISOString()}`,
+                    { ...details, rule: 'max_count_per_period', limit: maxCount, used: debits.length, resets_at: resetsAt }
+                );
+            }
+
+            if (limit.max_amount_per_period === null) continue;
+
+            const used = debits.reduce((sum, d) => sum.plus(d.amount), new Decimal(0));
+            const excess = used.plus(amount).minus(limit.max_amount_per_period);
+
+            if (excess.gt(0)) {
+                // The earliest moment enough of the window has aged out for this
+                // amount to fit; never, if the amount alone is over the limit.
+                let resetsAt = null;
+                let freed = new Decimal(0);
+                for (const debit of amount.lte(limit.max_amount_per_period) ? debits : []) {
+                    freed = freed.plus(debit.amount);
+                    if (freed.gte(excess)) {
+                        resetsAt = agesOut(debit);
+                        break;
+                    }
+                }
+
+                throw new LimitExceededError(
+                    `Spending limit reached: at most ${limit.max_amount_per_period} ${asset.symbol} per ${limit.period}, ` +
+                    `${used.toFixed()} already used` +
+                    (resetsAt ? `; resets at ${resetsAt.toISOString()}` : ''),
+                    {
+                        ...details,
+                        rule: 'max_amount_per_period',
+                        limit: limit.max_amount_per_period,
+                        used: used.toFixed(),
+                        resets_at: resetsAt,
+                    }
+                );
+            }
+        }
+    }
+
+
+    async _findCachedResponse(idemKey, requestHash, endpoint) {
+        const existing = await this.idemRepo.get(idemKey);
+        if (!existing) return null;
+
+        if (existing.request_hash !== requestHash || existing.endpoint !== endpoint) {
+            throw new ConflictError(
+                'Idempotency-Key already used with a different request body'
+            );
+        }
+
+        console.log(`Idempotency cache hit: ${idemKey}`);
+        return { data: existing.response_body, fromCache: true };
+    }
+
+
+    _activityEvent(entry, { transactionId, transactionType, reference, walletId, asset, direction, amount, fee = null }) {
+        return {
+            event_id: LedgerRepository.encodeCursor({ createdAt: entry.cursor_ts, id: entry.id }),
+            id: entry.id,
+            transaction_id: transactionId,
+            wallet_id: walletId,
+            asset_type_id: asset.id,
+            asset_name: asset.name,
+            symbol: asset.symbol,
+            direction,
+            amount: amount.toFixed(),
+            balance_after: formatAmount(entry.balance_after),
+            created_at: entry.created_at,
+            transaction_type: transactionType,
+            reference,
+            gross_amount: fee ? fee.gross.toFixed() : null,
+            fee_amount: fee ? fee.fee.toFixed() : null,
+            net_amount: fee ? fee.net.toFixed() : null,
+        };
+    }
+
+
+    // Sent only after COMMIT so streams never show an entry that was rolled back.
+    // A failed notify is logged, not raised: the transfer itself has succeeded.
+    async _notifyActivity(activity) {
+        try {
+            await this.eventHub.publish(activity);
+        } catch (err) {
+            console.warn('Wallet activity notify failed:', err.message);
+        }
+    }
+
+
+    // Alerts fire only on the debit that crosses a level, not on every debit
+    // made while the wallet is already below it. A user wallet going below zero
+    // on its credit line is overdrawn; for low balances user wallets use the
+    // asset's low_balance_threshold, the bonus pool its low watermark.
+    async _publishBalanceAlerts(client, { wallet, asset, amount, balanceAfter }) {
+        const after = new Decimal(balanceAfter);
+        const before = after.plus(amount);
+
+        if (wallet.owner_type === 'user' && before.gte(0) && after.lt(0)) {
+            const creditLimit = await this.creditLineRepo.getLimit(client, wallet.id, asset.id);
+
+            await this.outboxRepo.publish(client, 'balance.overdrawn', {
+                wallet_id: wallet.id,
+                owner_ref: wallet.owner_ref,
+                asset_type_id: asset.id,
+                symbol: asset.symbol,
+                balance: after.toFixed(),
+                credit_limit: creditLimit.toFixed(),
+            });
+        }
+
+        let eventType = null;
+        let level = null;
+
+        if (wallet.owner_type === 'user') {
+            eventType = 'balance.low';
+            level = asset.low_balance_threshold;
+        } else if (wallet.owner_ref === SYSTEM_REFS.BONUS_POOL) {
+            eventType = 'bonus_pool.low';
+            level = asset.bonus_pool_low_watermark;
+        }
+
+        if (level == null) {
+            return;
+        }
+
+        const threshold = new Decimal(level);
+
+        if (before.gte(threshold) && after.lt(threshold)) {
+            await this.outboxRepo.publish(client, eventType, {
+                wallet_id: wallet.id,
+                owner_ref: wallet.owner_ref,
+                asset_type_id: asset.id,
+                symbol: asset.symbol,
+                balance: after.toFixed(),
+                threshold: threshold.toFixed(),
+            });
+        }
+    }
+
+
+    async _getSupplyWallets() {
+        const issuance = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.ISSUANCE);
+        if (!issuance) {
+            throw new NotFoundError('Issuance system wallet not configured');
+        }
+
+        const treasury = await this.walletRepo.getSystemWalletByRef(SYSTEM_REFS.TREASURY);
+        if (!treasury) {
+            throw new NotFoundError('Treasury system wallet not configured');
+        }
+
+        return { issuance, treasury };
+    }
+
+
+    // Only the issuance wallet may go below zero; every other system wallet pays
+    // out of what it holds.
+    async _assertSystemWalletCovers(client, { wallet, asset, amount }) {
+        if (wallet.owner_ref === SYSTEM_REFS.TREASURY) {
+            return this._assertTreasuryCovers(client, { treasuryWalletId: wallet.id, asset, amount });
+        }
+        if (wallet.owner_ref === SYSTEM_REFS.BONUS_POOL) {
+            return this._assertBonusPoolCovers(client, { bonusPoolWalletId: wallet.id, asset, amount });
+        }
+
+        const balance = await this.ledgerRepo.getBalanceForAsset(client, wallet.id, asset.id);
+
+        if (balance.lt(amount)) {
+            throw new UnprocessableEntityError(
+                `Insufficient ${asset.symbol} in ${wallet.owner_ref}: have ${balance.toFixed()}, need ${amount.toFixed()}`
+            );
+        }
+    }
+
+
+    // The treasury only pays out supply that has been minted into it.
+    async _assertTreasuryCovers(client, { treasuryWalletId, asset, amount }) {
+        const unissued = await this.ledgerRepo.getBalanceForAsset(client, treasuryWalletId, asset.id);
+
+        if (unissued.lt(amount)) {
+            throw new UnprocessableEntityError(
+                `Insufficient minted ${asset.symbol} in the treasury: have ${unissued.toFixed()}, need ${amount.toFixed()}`
+            );
+        }
+    }
+
+
+    // The pool may go at most its overdraft limit below zero; with no limit set
+    // it must hold the full amount. What it pays out on overdraft was never
+    // minted, so it counts against the supply cap like a mint.
+    async _assertBonusPoolCovers(client, { bonusPoolWalletId, asset, amount }) {
+        const balance = await this.ledgerRepo.getBalanceForAsset(client, bonusPoolWalletId, asset.id);
+        const overdraft = new Decimal(asset.bonus_pool_overdraft_limit || 0);
+
+        if (balance.plus(overdraft).lt(amount)) {
+            throw new UnprocessableEntityError(
+                `Bonus pool has insufficient ${asset.symbol}: have ${balance.toFixed()}, need ${amount.toFixed()}` +
+                (overdraft.gt(0) ? ` (overdraft limit ${overdraft.toFixed()})` : '') +
+                '; fund it from the treasury'
+            );
+        }
+
+        const unbacked = amount.minus(Decimal.max(balance, 0));
+        if (unbacked.gt(0) && asset.supply_cap !== null) {
+            const { issuance } = await this._getSupplyWallets();
+            await this.walletRepo.lockWallets(client, issuance.id);
+
+            await this._assertSupplyCap(client, {
+                issuanceWalletId: issuance.id,
+                asset,
+                amount: unbacked,
+                action: 'Bonus pool overdraft',
+            });
+        }
+    }
+
+
+    // Supply is the negated issuance balance plus whatever other system wallets
+    // are overdrawn; the issuance wallet is locked by the caller so concurrent
+    // mints of one asset can't both fit under the cap.
+    async _assertSupplyCap(client, { issuanceWalletId, asset, amount, action = 'Mint' }) {
+        if (asset.supply_cap === null) return;
+
+        const issued = (await this.ledgerRepo.getBalanceForAsset(client, issuanceWalletId, asset.id)).negated();
+        const overdrawn = await this.ledgerRepo.getSystemOverdraft(client, asset.id, { excludeWalletId: issuanceWalletId });
+        const supply = issued.plus(overdrawn);
+
+        if (supply.plus(amount).gt(asset.supply_cap)) {
+            throw new LimitExceededError(
+                `${action} would exceed the ${asset.symbol} supply cap of ${asset.supply_cap}`,
+                {
+                    supply_cap: asset.supply_cap,
+                    supply: supply.toFixed(),
+                    requested: amount.toFixed(),
+                }
+            );
+        }
+    }
+
+
+    _assertAssetLimits(asset, value, txType) {
+        if (value.decimalPlaces() > asset.decimal_places) {
+            throw new BadRequestError(
+                `${asset.symbol} amounts allow at most ${asset.decimal_places} decimal places`
+            );
+        }
+
+        if (txType === 'reversal' || SUPPLY_TRANSACTION_TYPES.has(txType)) return;
+
+        if (asset.min_transfer_amount !== null && value.lt(asset.min_transfer_amount)) {
+            throw new BadRequestError(
+                `Amount below minimum for ${asset.symbol}: ${asset.min_transfer_amount}`
+            );
+        }
+
+        if (asset.max_transfer_amount !== null && value.gt(asset.max_transfer_amount)) {
+            throw new BadRequestError(
+                `Amount above maximum for ${asset.symbol}: ${asset.max_transfer_amount}`
+            );
+        }
     }
 }
 
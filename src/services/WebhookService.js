@@ -0,0 +1,66 @@
+'use strict';
+
+const crypto = require('crypto');
+const { NotFoundError } = require('../errors/ApiError');
+
+
+const EVENT_TYPES = [
+    'transaction.created',
+    'wallet.frozen',
+    'wallet.unfrozen',
+    'wallet.closed',
+    'balance.low',
+    'balance.overdrawn',
+    'bonus_pool.low',
+];
+
+class WebhookService {
+
+    constructor({ webhookRepo }) {
+        this.webhookRepo = webhookRepo;
+    }
+
+
+    async createSubscription({ url, eventTypes, description, createdBy }) {
+        const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+        const subscription = await this.webhookRepo.createSubscription({
+            url,
+            secret,
+            eventTypes,
+            description,
+            createdBy,
+        });
+
+        console.log(`webhook subscription created: ${subscription.id} → ${url}`);
+        return { ...subscription, secret };
+    }
+
+
+    async listSubscriptions() {
+        return this.webhookRepo.listSubscriptions();
+    }
+
+
+    async deleteSubscription(id) {
+        const subscription = await this.webhookRepo.deactivateSubscription(id);
+        if (!subscription) throw new NotFoundError('Webhook subscription not found');
+        return subscription;
+    }
+
+
+    async listDeadLetters({ limit }) {
+        return this.webhookRepo.listDeadLetters({ limit });
+    }
+
+
+    async retryDelivery(deliveryId) {
+        const delivery = await this.webhookRepo.requeueDelivery(deliveryId);
+        if (!delivery) throw new NotFoundError('Dead-lettered delivery not found');
+        return delivery;
+    }
+}
+
+WebhookService.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = WebhookService;
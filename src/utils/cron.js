@@ -0,0 +1,20 @@
+'use strict';
+
+const { CronExpressionParser } = require('cron-parser');
+
+
+// Returns the first occurrence strictly after `after`, or null when the
+// expression or timezone is invalid.
+function nextOccurrence(expression, { timezone = 'UTC', after = new Date() } = {}) {
+    try {
+        return CronExpressionParser.parse(expression, { currentDate: after, tz: timezone })
+            .next()
+            .toDate();
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    nextOccurrence,
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+const BaseDecimal = require('decimal.js');
+
+// NUMERIC(28,8) holds up to 28 significant digits; keep enough headroom that
+// sums and differences of stored amounts are never rounded.
+const Decimal = BaseDecimal.clone({
+    precision: 40,
+    rounding: BaseDecimal.ROUND_DOWN,
+    toExpNeg: -30,
+    toExpPos: 40,
+});
+
+
+const MAX_SCALE = 8;
+const MAX_INTEGER_DIGITS = 20;
+const AMOUNT_PATTERN = /^-?\d+(\.\d+)?$/;
+
+
+function toDecimal(value) {
+    if (value instanceof Decimal) return value;
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return null;
+        return new Decimal(value);
+    }
+
+    if (typeof value === 'string' && AMOUNT_PATTERN.test(value.trim())) {
+        return new Decimal(value.trim());
+    }
+
+    return null;
+}
+
+
+function parseAmount(value) {
+    const amount = toDecimal(value);
+
+    if (!amount || amount.lte(0)) return null;
+    if (amount.decimalPlaces() > MAX_SCALE) return null;
+    if (amount.trunc().toFixed().length > MAX_INTEGER_DIGITS) return null;
+
+    return amount;
+}
+
+
+function formatAmount(value) {
+    if (value === null || value === undefined) return value;
+    return new Decimal(value).toFixed();
+}
+
+module.exports = {
+    Decimal,
+    MAX_SCALE,
+    toDecimal,
+    parseAmount,
+    formatAmount,
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+const { Decimal } = require('./decimal');
+
+
+// The fee a schedule charges on a gross amount, rounded down to the asset's
+// decimal places. A tiered schedule uses the first tier whose up_to covers the
+// amount; each tier charges its flat part plus its percentage.
+function computeFee(schedule, grossAmount, decimalPlaces) {
+    let fee;
+
+    switch (schedule.fee_type) {
+        case 'flat':
+            fee = new Decimal(schedule.flat_amount);
+            break;
+        case 'percent':
+            fee = grossAmount.times(schedule.percent).div(100);
+            break;
+        case 'tiered': {
+            const tier = schedule.tiers.find(t => t.up_to === null || grossAmount.lte(t.up_to));
+            fee = new Decimal(tier.flat || 0).plus(grossAmount.times(tier.percent || 0).div(100));
+            break;
+        }
+        default:
+            throw new Error(`Unknown fee type: ${schedule.fee_type}`);
+    }
+
+    return fee.toDecimalPlaces(decimalPlaces, Decimal.ROUND_DOWN);
+}
+
+module.exports = {
+    computeFee,
+};
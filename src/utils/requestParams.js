@@ -0,0 +1,36 @@
+'use strict';
+
+// Request parsing shared by the route handlers.
+
+const { BadRequestError } = require('../errors/ApiError');
+
+
+// Express 5 parses a repeated parameter (?status=a&status=b) into an array,
+// which must not reach SQL or string methods.
+function queryParam(query, name) {
+    const value = query[name];
+    if (value !== undefined && typeof value !== 'string') {
+        throw new BadRequestError(`${name} must be given at most once`);
+    }
+    return value;
+}
+
+
+function requireIdempotencyKey(req) {
+    const key = req.headers['idempotency-key'];
+
+    if (!key || key.trim() === '') {
+        throw new BadRequestError('Idempotency-Key header is required');
+    }
+
+    if (key.length > 255) {
+        throw new BadRequestError('Idempotency-Key must be 255 characters or fewer');
+    }
+
+    return key.trim();
+}
+
+module.exports = {
+    queryParam,
+    requireIdempotencyKey,
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+// Signing and verification for the X-Dino-Signature header. Kept free of
+// config and database imports so standalone receivers can require it.
+
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+
+// HMAC-SHA256 of "<timestamp>.<body>" keyed with the subscription secret.
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+
+function signatureHeader(secret, timestamp, body) {
+    return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+}
+
+
+// True when the header carries a fresh timestamp and a v1 signature matching
+// the raw body, compared in constant time.
+function verify(secret, header, body, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+    const parts = Object.fromEntries(
+        String(header || '').split(',').map(part => part.split('=', 2))
+    );
+
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) return false;
+
+    if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+    const provided = Buffer.from(parts.v1, 'hex');
+
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+    sign,
+    signatureHeader,
+    verify,
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const config = require('../config');
+const { APIError } = require('../errors/ApiError');
+
+class BonusJobWorker {
+
+    constructor({ bonusJobRepo, walletService, options = {} }) {
+        this.bonusJobRepo = bonusJobRepo;
+        this.walletService = walletService;
+        this.options = {
+            pollIntervalMs: config.BONUS_JOB_POLL_INTERVAL_MS,
+            chunkSize: config.BONUS_JOB_CHUNK_SIZE,
+            leaseMs: config.BONUS_JOB_LEASE_MS,
+            ...options,
+        };
+        this.timer = null;
+        this.running = null;
+        this.stopping = false;
+    }
+
+
+    start() {
+        if (this.timer) return;
+        this.stopping = false;
+
+        const tick = async () => {
+            this.running = this.runOnce().catch((err) => {
+                console.error('Bonus job worker error:', err.message);
+            });
+            await this.running;
+            this.running = null;
+
+            if (this.timer) {
+                this.timer = setTimeout(tick, this.options.pollIntervalMs);
+            }
+        };
+
+        this.timer = setTimeout(tick, 0);
+        console.log('Bonus job worker started');
+    }
+
+
+    async stop() {
+        this.stopping = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.running) await this.running;
+    }
+
+
+    async runOnce() {
+        const job = await this.bonusJobRepo.claimNextJob({ leaseMs: this.options.leaseMs });
+        if (!job) return 0;
+
+        return this._processJob(job);
+    }
+
+
+    // Works through the job a chunk at a time, renewing the lease after each one.
+    // A database failure escapes with the lease still held, so the job is picked
+    // up again - by this or another instance - once the lease runs out.
+    async _processJob(job) {
+        let processed = 0;
+
+        while (!this.stopping) {
+            const rows = await this.bonusJobRepo.getPendingRows(job.id, { limit: this.options.chunkSize });
+
+            for (const row of rows) {
+                if (this.stopping) break;
+                await this._processRow(job, row);
+                processed++;
+            }
+
+            const progress = await this.bonusJobRepo.refreshProgress(job.id, { leaseMs: this.options.leaseMs });
+
+            if (progress.status === 'completed') {
+                console.log(
+                    `bonus job ${job.id} completed: ${progress.succeeded_rows} succeeded, ${progress.failed_rows} failed`
+                );
+                return processed;
+            }
+        }
+
+        await this.bonusJobRepo.releaseLease(job.id);
+        return processed;
+    }
+
+
+    // Each row runs as an ordinary bonus under a key derived from the job and
+    // row, so re-running a row that already posted returns the original result.
+    async _processRow(job, row) {
+        try {
+            const { data } = await this.walletService.bonus(
+                row.wallet_id,
+                {
+                    assetTypeId: job.asset_type_id,
+                    amount: row.amount,
+                    reference: job.reference,
+                    initiatedBy: job.created_by,
+                    metadata: { bonus_job_id: job.id, row_number: row.row_number },
+                },
+                `bonus-job:${job.id}:${row.row_number}`,
+                `bonus-job:${job.id}`
+            );
+
+            await this.bonusJobRepo.recordRowResult(job.id, row.row_number, {
+                status: 'succeeded',
+                transactionId: data.transaction_id,
+            });
+        } catch (err) {
+            if (!(err instanceof APIError)) throw err;
+
+            await this.bonusJobRepo.recordRowResult(job.id, row.row_number, {
+                status: 'failed',
+                error: err.message,
+            });
+        }
+    }
+}
+
+module.exports = BonusJobWorker;
@@ -0,0 +1,70 @@
+'use strict';
+
+const config = require('../config');
+
+class CreditExpiryWorker {
+
+    constructor({ creditLotRepo, walletService, options = {} }) {
+        this.creditLotRepo = creditLotRepo;
+        this.walletService = walletService;
+        this.options = {
+            pollIntervalMs: config.CREDIT_EXPIRY_POLL_INTERVAL_MS,
+            batchSize: config.CREDIT_EXPIRY_BATCH_SIZE,
+            ...options,
+        };
+        this.timer = null;
+        this.running = null;
+        this.stopping = false;
+    }
+
+
+    start() {
+        if (this.timer) return;
+        this.stopping = false;
+
+        const tick = async () => {
+            this.running = this.runOnce().catch((err) => {
+                console.error('Credit expiry worker error:', err.message);
+            });
+            await this.running;
+            this.running = null;
+
+            if (this.timer) {
+                this.timer = setTimeout(tick, this.options.pollIntervalMs);
+            }
+        };
+
+        this.timer = setTimeout(tick, 0);
+        console.log('Credit expiry worker started');
+    }
+
+
+    async stop() {
+        this.stopping = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.running) await this.running;
+    }
+
+
+    // No lease is needed: each lot is swept under its own row lock, so instances
+    // racing for the same lot serialize and the loser finds nothing left to move.
+    async runOnce() {
+        const lotIds = await this.creditLotRepo.listExpirableIds({ limit: this.options.batchSize });
+
+        let swept = 0;
+        for (const lotId of lotIds) {
+            if (this.stopping) break;
+
+            try {
+                if (await this.walletService.expireCreditLot(lotId)) swept += 1;
+            } catch (err) {
+                console.error(`Credit lot ${lotId} expiry failed, will retry:`, err.message);
+            }
+        }
+
+        return swept;
+    }
+}
+
+module.exports = CreditExpiryWorker;
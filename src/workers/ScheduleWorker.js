@@ -0,0 +1,156 @@
+'use strict';
+
+const config = require('../config');
+const { APIError } = require('../errors/ApiError');
+const { nextOccurrence } = require('../utils/cron');
+
+class ScheduleWorker {
+
+    constructor({ scheduleRepo, walletService, options = {} }) {
+        this.scheduleRepo = scheduleRepo;
+        this.walletService = walletService;
+        this.options = {
+            pollIntervalMs: config.SCHEDULE_POLL_INTERVAL_MS,
+            batchSize: config.SCHEDULE_BATCH_SIZE,
+            leaseMs: config.SCHEDULE_LEASE_MS,
+            ...options,
+        };
+        this.timer = null;
+        this.running = null;
+    }
+
+
+    // The idempotency key names the schedule and the occurrence, never the
+    // attempt: however many instances or restarts run an occurrence, it pays once.
+    static occurrenceKey(scheduleId, occurrence) {
+        return `schedule:${scheduleId}:${occurrence.toISOString()}`;
+    }
+
+
+    start() {
+        if (this.timer) return;
+
+        const tick = async () => {
+            this.running = this.runOnce().catch((err) => {
+                console.error('Schedule worker error:', err.message);
+            });
+            await this.running;
+            this.running = null;
+
+            if (this.timer) {
+                this.timer = setTimeout(tick, this.options.pollIntervalMs);
+            }
+        };
+
+        this.timer = setTimeout(tick, 0);
+        console.log('Schedule worker started');
+    }
+
+
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.running) await this.running;
+    }
+
+
+    async runOnce() {
+        const schedules = await this.scheduleRepo.claimDue({
+            batchSize: this.options.batchSize,
+            leaseMs: this.options.leaseMs,
+        });
+
+        for (const schedule of schedules) {
+            try {
+                await this._run(schedule);
+            } catch (err) {
+                // Left leased and unadvanced: the same occurrence is retried, under
+                // the same key, once the lease lapses.
+                console.error(`Schedule ${schedule.id} run failed, will retry:`, err.message);
+            }
+        }
+
+        return schedules.length;
+    }
+
+
+    async _run(schedule) {
+        const occurrence = schedule.next_run_at;
+
+        let transactionId = null;
+        let error = null;
+
+        try {
+            const { data } = await this._execute(schedule, occurrence);
+            transactionId = data.transaction_id;
+        } catch (err) {
+            if (!(err instanceof APIError)) throw err;
+            error = err.message;
+        }
+
+        // Missed occurrences (e.g. while the service was down) are not back-filled:
+        // the next run is the first occurrence after now.
+        const nextRunAt = schedule.cron_expression
+            ? nextOccurrence(schedule.cron_expression, {
+                timezone: schedule.timezone,
+                after: new Date(Math.max(Date.now(), occurrence.getTime())),
+            })
+            : null;
+
+        // A recurring schedule whose expression yields no further occurrence
+        // completes instead of sitting active with nothing left to run.
+        let finalStatus = null;
+        if (!schedule.cron_expression) {
+            finalStatus = error ? 'failed' : 'completed';
+        } else if (!nextRunAt) {
+            finalStatus = 'completed';
+        }
+
+        await this.scheduleRepo.recordRun(schedule.id, {
+            occurrence,
+            transactionId,
+            error,
+            nextRunAt,
+            finalStatus,
+        });
+
+        if (error) {
+            console.warn(`Schedule ${schedule.id} occurrence ${occurrence.toISOString()} failed: ${error}`);
+        }
+    }
+
+
+    _execute(schedule, occurrence) {
+        const idemKey = ScheduleWorker.occurrenceKey(schedule.id, occurrence);
+        const endpoint = `schedule:${schedule.id}`;
+        const body = {
+            assetTypeId: schedule.asset_type_id,
+            amount: schedule.amount,
+            reference: schedule.reference,
+            initiatedBy: schedule.created_by,
+            metadata: {
+                ...schedule.metadata,
+                schedule_id: schedule.id,
+                occurrence: occurrence.toISOString(),
+            },
+        };
+
+        switch (schedule.operation) {
+            case 'topup':
+                return this.walletService.topUp(schedule.wallet_id, body, idemKey, endpoint);
+            case 'bonus':
+                return this.walletService.bonus(schedule.wallet_id, body, idemKey, endpoint);
+            case 'transfer':
+                return this.walletService.transfer(
+                    schedule.wallet_id,
+                    { ...body, toWalletId: schedule.to_wallet_id },
+                    idemKey,
+                    endpoint
+                );
+            default:
+                throw new Error(`Unknown schedule operation: ${schedule.operation}`);
+        }
+    }
+}
+
+module.exports = ScheduleWorker;
@@ -0,0 +1,138 @@
+'use strict';
+
+const config = require('../config');
+const { signatureHeader } = require('../utils/webhookSignature');
+
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+class WebhookWorker {
+
+    constructor({ webhookRepo, options = {} }) {
+        this.webhookRepo = webhookRepo;
+        this.options = {
+            pollIntervalMs: config.WEBHOOK_POLL_INTERVAL_MS,
+            batchSize: config.WEBHOOK_BATCH_SIZE,
+            timeoutMs: config.WEBHOOK_TIMEOUT_MS,
+            maxAttempts: config.WEBHOOK_MAX_ATTEMPTS,
+            retryBaseMs: config.WEBHOOK_RETRY_BASE_MS,
+            ...options,
+        };
+        this.timer = null;
+        this.running = null;
+    }
+
+
+    start() {
+        if (this.timer) return;
+
+        const tick = async () => {
+            this.running = this.runOnce().catch((err) => {
+                console.error('Webhook worker error:', err.message);
+            });
+            await this.running;
+            this.running = null;
+
+            if (this.timer) {
+                this.timer = setTimeout(tick, this.options.pollIntervalMs);
+            }
+        };
+
+        this.timer = setTimeout(tick, 0);
+        console.log('Webhook worker started');
+    }
+
+
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.running) await this.running;
+    }
+
+
+    async runOnce() {
+        const deliveries = await this.webhookRepo.claimDueDeliveries({
+            batchSize: this.options.batchSize,
+            leaseMs: this.options.timeoutMs * 2,
+        });
+
+        for (const delivery of deliveries) {
+            await this._deliver(delivery);
+        }
+
+        return deliveries.length;
+    }
+
+
+    async _deliver(delivery) {
+        if (!delivery.subscription_active) {
+            await this.webhookRepo.markFailed(delivery.id, { error: 'Subscription deactivated' });
+            return;
+        }
+
+        const body = JSON.stringify({
+            id: delivery.event_id,
+            type: delivery.event_type,
+            created_at: delivery.event_created_at,
+            data: delivery.payload,
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        let statusCode = null;
+        let error;
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'dino-wallet-webhooks/1.0',
+                    'X-Dino-Event': delivery.event_type,
+                    'X-Dino-Delivery': delivery.id,
+                    'X-Dino-Signature': signatureHeader(delivery.secret, timestamp, body),
+                },
+                body,
+                signal: AbortSignal.timeout(this.options.timeoutMs),
+            });
+
+            statusCode = response.status;
+            if (response.ok) {
+                await this.webhookRepo.markDelivered(delivery.id, { statusCode });
+                return;
+            }
+            error = `Receiver responded with HTTP ${statusCode}`;
+        } catch (err) {
+            error = err.name === 'TimeoutError' ? 'Delivery timed out' : err.message;
+        }
+
+        const exhausted = delivery.attempts >= this.options.maxAttempts;
+        const retryInMs = exhausted
+            ? null
+            : Math.min(this.options.retryBaseMs * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY_MS);
+
+        await this.webhookRepo.markFailed(delivery.id, { statusCode, error, retryInMs });
+
+        console.warn(exhausted
+            ? `Webhook ${delivery.id} dead-lettered after ${delivery.attempts} attempts: ${error}`
+            : `Webhook ${delivery.id} attempt ${delivery.attempts} failed, retrying in ${retryInMs}ms: ${error}`);
+    }
+}
+
+
+if (require.main === module) {
+    const { pool } = require('../db/pool');
+    const WebhookRepository = require('../repositories/WebhookRepository');
+
+    const worker = new WebhookWorker({ webhookRepo: new WebhookRepository(pool) });
+    worker.start();
+
+    const shutdown = async () => {
+        await worker.stop();
+        await pool.end();
+        process.exit(0);
+    };
+
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
+
+module.exports = WebhookWorker;
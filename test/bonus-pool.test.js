@@ -0,0 +1,132 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createWalletService, balanceOf, outboxEvents, SEEDS } = require('./helpers/db');
+
+const { assets, wallets } = SEEDS;
+
+describe('bonus pool funding', () => {
+    let pool;
+    let service;
+
+    const bonus = (walletId, assetTypeId, amount, key) => service.bonus(walletId, {
+        assetTypeId,
+        amount,
+        reference: `BONUS-${key}`,
+    }, key, 'bonus');
+
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        service = createWalletService(pool);
+    });
+
+
+    it('funds the pool from the treasury', async () => {
+        const { data } = await service.fundBonusPool(assets.diamonds, {
+            amount: '100',
+            reference: 'FUND-DIA',
+        }, 'fund-dia', 'treasury:fund-bonus-pool');
+
+        assert.equal(data.transaction_type, 'funding');
+        assert.equal(await balanceOf(pool, wallets.bonusPool, assets.diamonds), '100');
+        assert.equal(await balanceOf(pool, wallets.treasury, assets.diamonds), '99850');
+    });
+
+
+    it('refuses to fund more than the treasury has minted', async () => {
+        await assert.rejects(
+            service.fundBonusPool(assets.diamonds, { amount: '99851', reference: 'FUND-TOO-MUCH' }, 'fund-too-much', 'treasury:fund-bonus-pool'),
+            { statusCode: 422 }
+        );
+    });
+
+
+    it('refuses a bonus the pool cannot cover without an overdraft limit', async () => {
+        await assert.rejects(
+            bonus(wallets.bob, assets.diamonds, '101', 'pool-short'),
+            { statusCode: 422, message: 'Bonus pool has insufficient DIA: have 100, need 101; fund it from the treasury' }
+        );
+
+        await bonus(wallets.bob, assets.diamonds, '100', 'pool-exact');
+        assert.equal(await balanceOf(pool, wallets.bonusPool, assets.diamonds), '0');
+    });
+
+
+    it('lets bonuses run the pool down to its overdraft limit', async () => {
+        await pool.query('UPDATE asset_types SET bonus_pool_overdraft_limit = 40 WHERE id = $1', [assets.diamonds]);
+
+        await bonus(wallets.bob, assets.diamonds, '30', 'overdraft-1');
+        assert.equal(await balanceOf(pool, wallets.bonusPool, assets.diamonds), '-30');
+
+        await assert.rejects(
+            bonus(wallets.bob, assets.diamonds, '11', 'overdraft-2'),
+            { statusCode: 422, message: 'Bonus pool has insufficient DIA: have -30, need 11 (overdraft limit 40); fund it from the treasury' }
+        );
+    });
+
+
+    it('counts an overdrawn pool as supply, under the cap', async () => {
+        const [report] = await service.getSupplyReport({ assetTypeId: assets.diamonds });
+        assert.equal(report.system_overdraft, '30');
+        assert.equal(report.supply, '100030');
+        assert.equal(report.circulating, '180');
+        assert.equal(report.held_in_system_wallets, '99850');
+
+        await pool.query('UPDATE asset_types SET supply_cap = 100035 WHERE id = $1', [assets.diamonds]);
+
+        try {
+            await assert.rejects(
+                bonus(wallets.bob, assets.diamonds, '6', 'overdraft-over-cap'),
+                (err) => {
+                    assert.equal(err.statusCode, 422);
+                    assert.deepEqual(err.details, { supply_cap: '100035', supply: '100030', requested: '6' });
+                    return true;
+                }
+            );
+            await assert.rejects(
+                service.mint(assets.diamonds, { amount: '6', reference: 'MINT-OVER-CAP' }, 'mint-over-cap', 'treasury:mint'),
+                { statusCode: 422 }
+            );
+
+            await bonus(wallets.bob, assets.diamonds, '5', 'overdraft-to-cap');
+            assert.equal(await balanceOf(pool, wallets.bonusPool, assets.diamonds), '-35');
+        } finally {
+            await pool.query('UPDATE asset_types SET supply_cap = NULL WHERE id = $1', [assets.diamonds]);
+        }
+    });
+
+
+    it('emits bonus_pool.low when a bonus crosses the watermark', async () => {
+        await pool.query('UPDATE asset_types SET bonus_pool_low_watermark = 99000 WHERE id = $1', [assets.gold]);
+
+        await bonus(wallets.bob, assets.gold, '500', 'watermark-above');
+        await bonus(wallets.bob, assets.gold, '600', 'watermark-cross');
+        await bonus(wallets.bob, assets.gold, '100', 'watermark-below');
+
+        const events = await outboxEvents(pool, 'bonus_pool.low');
+        assert.equal(events.length, 1);
+        assert.deepEqual(events[0], {
+            wallet_id: wallets.bonusPool,
+            owner_ref: 'system:bonus_pool',
+            asset_type_id: assets.gold,
+            symbol: 'GLD',
+            balance: '98900',
+            threshold: '99000',
+        });
+    });
+
+
+    it('checks pool coverage on multi-leg debits', async () => {
+        await assert.rejects(
+            service.createMultiLegTransaction({
+                reference: 'MULTI-POOL',
+                legs: [
+                    { walletId: wallets.bonusPool, assetTypeId: assets.diamonds, direction: 'debit', amount: '11' },
+                    { walletId: wallets.alice, assetTypeId: assets.diamonds, direction: 'credit', amount: '11' },
+                ],
+            }, 'multi-pool', 'multi-leg'),
+            { statusCode: 422 }
+        );
+    });
+});
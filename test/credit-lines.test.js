@@ -0,0 +1,129 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createWalletService, balanceOf, outboxEvents, SEEDS } = require('./helpers/db');
+
+const { assets, wallets } = SEEDS;
+
+describe('credit lines', () => {
+    let pool;
+    let service;
+    let creditLines;
+    let ledgerRepo;
+
+    const spend = (amount, key) => service.spend(wallets.bob, {
+        assetTypeId: assets.gold,
+        amount,
+        reference: `SPEND-${key}`,
+    }, key, 'spend');
+
+    const goldBalance = async () => {
+        const { balances } = await service.getBalance(wallets.bob);
+        return balances.find(b => b.asset_type_id === assets.gold);
+    };
+
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        service = createWalletService(pool);
+
+        const CreditLineService = require('../src/services/CreditLineService');
+        const repo = name => new (require(`../src/repositories/${name}`))(pool);
+        ledgerRepo = repo('LedgerRepository');
+        creditLines = new CreditLineService({
+            creditLineRepo: repo('CreditLineRepository'),
+            walletRepo: repo('WalletRepository'),
+            ledgerRepo,
+            assetRepo: repo('AssetRepository'),
+        });
+
+        await creditLines.setCreditLine({
+            walletId: wallets.bob,
+            assetTypeId: assets.gold,
+            creditLimit: '100',
+            createdBy: 'test',
+        });
+    });
+
+
+    it('lets a spend draw on the line and reports what is left of it', async () => {
+        await spend('550', 'credit-spend');
+
+        assert.equal(await balanceOf(pool, wallets.bob, assets.gold), '-50');
+
+        const gold = await goldBalance();
+        assert.equal(gold.credit_limit, '100');
+        assert.equal(gold.available_credit, '50');
+    });
+
+
+    it('emits balance.overdrawn once, on crossing below zero', async () => {
+        await spend('10', 'credit-deeper');
+
+        const events = await outboxEvents(pool, 'balance.overdrawn');
+        assert.equal(events.length, 1);
+        assert.deepEqual(events[0], {
+            wallet_id: wallets.bob,
+            owner_ref: 'user:bob',
+            asset_type_id: assets.gold,
+            symbol: 'GLD',
+            balance: '-50',
+            credit_limit: '100',
+        });
+    });
+
+
+    it('refuses a spend past the limit', async () => {
+        await assert.rejects(spend('41', 'credit-too-far'), { statusCode: 422 });
+    });
+
+
+    it('does not extend to transfers', async () => {
+        await assert.rejects(
+            service.transfer(wallets.bob, {
+                toWalletId: wallets.alice,
+                assetTypeId: assets.gold,
+                amount: '1',
+                reference: 'CREDIT-TRANSFER',
+            }, 'credit-transfer', 'transfer'),
+            { statusCode: 422 }
+        );
+    });
+
+
+    it('cannot be lowered below the overdraft or removed while overdrawn', async () => {
+        await assert.rejects(
+            creditLines.setCreditLine({ walletId: wallets.bob, assetTypeId: assets.gold, creditLimit: '59', createdBy: 'test' }),
+            { statusCode: 409 }
+        );
+        await assert.rejects(creditLines.removeCreditLine(wallets.bob, assets.gold), { statusCode: 409 });
+    });
+
+
+    it('is only granted to user wallets', async () => {
+        await assert.rejects(
+            creditLines.setCreditLine({ walletId: wallets.revenue, assetTypeId: assets.gold, creditLimit: '1', createdBy: 'test' }),
+            { statusCode: 400 }
+        );
+    });
+
+
+    it('keeps the ledger consistent while a wallet is within its line', async () => {
+        const LedgerIntegrityService = require('../src/services/LedgerIntegrityService');
+        const report = await new LedgerIntegrityService({ ledgerRepo }).verify();
+
+        assert.equal(report.ok, true, JSON.stringify(report.summary));
+    });
+
+
+    it('is repaid by incoming credits and can then be removed', async () => {
+        await service.topUp(wallets.bob, { assetTypeId: assets.gold, amount: '100', reference: 'REPAY' }, 'credit-repay', 'topup');
+        assert.equal(await balanceOf(pool, wallets.bob, assets.gold), '40');
+
+        await creditLines.removeCreditLine(wallets.bob, assets.gold);
+
+        const gold = await goldBalance();
+        assert.equal(gold.credit_limit, '0');
+        await assert.rejects(spend('41', 'credit-removed'), { statusCode: 422 });
+    });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createWalletService, balanceOf, SEEDS } = require('./helpers/db');
+
+const { assets, wallets } = SEEDS;
+
+describe('exchange', () => {
+    let pool;
+    let service;
+
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        service = createWalletService(pool);
+    });
+
+
+    it('settles a quote at its locked rate even after the rate changes', async () => {
+        const quote = await service.createExchangeQuote(wallets.alice, {
+            fromAssetTypeId: assets.gold,
+            toAssetTypeId: assets.loyalty,
+            amount: '100',
+        });
+        assert.equal(quote.to_amount, '50');
+
+        await pool.query(
+            "INSERT INTO exchange_rates (from_asset_type_id, to_asset_type_id, rate, created_by) VALUES ($1, $2, 2, 'test')",
+            [assets.gold, assets.loyalty]
+        );
+
+        const { data } = await service.exchange(wallets.alice, { quoteId: quote.id }, 'exchange-quote-1', 'exchange');
+
+        assert.equal(data.from_amount, '100');
+        assert.equal(data.to_amount, '50');
+        assert.equal(await balanceOf(pool, wallets.alice, assets.gold), '900');
+        assert.equal(await balanceOf(pool, wallets.alice, assets.loyalty), '50');
+        assert.equal(await balanceOf(pool, wallets.marketMaker, assets.gold), '100100');
+        assert.equal(await balanceOf(pool, wallets.marketMaker, assets.loyalty), '99950');
+    });
+
+
+    it('refuses to use a quote twice', async () => {
+        const quote = await service.createExchangeQuote(wallets.alice, {
+            fromAssetTypeId: assets.gold,
+            toAssetTypeId: assets.loyalty,
+            amount: '10',
+        });
+
+        await service.exchange(wallets.alice, { quoteId: quote.id }, 'exchange-twice-1', 'exchange');
+
+        await assert.rejects(
+            service.exchange(wallets.alice, { quoteId: quote.id }, 'exchange-twice-2', 'exchange'),
+            { statusCode: 409 }
+        );
+    });
+
+
+    it('refuses an expired quote', async () => {
+        const quote = await service.createExchangeQuote(wallets.alice, {
+            fromAssetTypeId: assets.gold,
+            toAssetTypeId: assets.loyalty,
+            amount: '10',
+        });
+        await pool.query("UPDATE exchange_quotes SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1", [quote.id]);
+
+        await assert.rejects(
+            service.exchange(wallets.alice, { quoteId: quote.id }, 'exchange-expired', 'exchange'),
+            { statusCode: 409 }
+        );
+    });
+
+
+    it('refuses a quote once one of its assets has been deactivated', async () => {
+        const quote = await service.createExchangeQuote(wallets.alice, {
+            fromAssetTypeId: assets.diamonds,
+            toAssetTypeId: assets.gold,
+            amount: '1',
+        });
+        await pool.query('UPDATE asset_types SET is_active = FALSE WHERE id = $1', [assets.diamonds]);
+
+        try {
+            await assert.rejects(
+                service.exchange(wallets.alice, { quoteId: quote.id }, 'exchange-inactive', 'exchange'),
+                { statusCode: 400, message: 'Asset type is not active: DIA' }
+            );
+        } finally {
+            await pool.query('UPDATE asset_types SET is_active = TRUE WHERE id = $1', [assets.diamonds]);
+        }
+    });
+
+
+    it('treats a numeric and a string amount as the same request', async () => {
+        const body = { fromAssetTypeId: assets.diamonds, toAssetTypeId: assets.gold };
+
+        const first = await service.exchange(wallets.alice, { ...body, amount: 2 }, 'exchange-idem', 'exchange');
+        const replay = await service.exchange(wallets.alice, { ...body, amount: '2.0' }, 'exchange-idem', 'exchange');
+
+        assert.equal(first.fromCache, false);
+        assert.equal(replay.fromCache, true);
+        assert.equal(replay.data.transaction_id, first.data.transaction_id);
+
+        await assert.rejects(
+            service.exchange(wallets.alice, { ...body, amount: '3' }, 'exchange-idem', 'exchange'),
+            { statusCode: 409 }
+        );
+    });
+
+
+    it('needs the source amount available and ignores credit lines', async () => {
+        await pool.query(
+            "INSERT INTO credit_lines (wallet_id, asset_type_id, credit_limit, created_by) VALUES ($1, $2, 1000, 'test')",
+            [wallets.bob, assets.diamonds]
+        );
+
+        await assert.rejects(
+            service.exchange(wallets.bob, {
+                fromAssetTypeId: assets.diamonds,
+                toAssetTypeId: assets.gold,
+                amount: '1',
+            }, 'exchange-no-funds', 'exchange'),
+            { statusCode: 422 }
+        );
+    });
+
+
+    it('counts against spending limits', async () => {
+        await pool.query(
+            "INSERT INTO spending_limits (wallet_id, asset_type_id, max_per_transaction, created_by) VALUES ($1, $2, 20, 'test')",
+            [wallets.bob, assets.gold]
+        );
+
+        await assert.rejects(
+            service.exchange(wallets.bob, {
+                fromAssetTypeId: assets.gold,
+                toAssetTypeId: assets.loyalty,
+                amount: '21',
+            }, 'exchange-limit', 'exchange'),
+            err => err.statusCode === 422 && err.details.rule === 'max_per_transaction'
+        );
+
+        assert.equal(await balanceOf(pool, wallets.bob, assets.gold), '500');
+    });
+
+
+    it('pays out only what the market maker has been funded with', async () => {
+        // Leave the market maker 10 LPT.
+        const excess = String(Number(await balanceOf(pool, wallets.marketMaker, assets.loyalty)) - 10);
+        await service.createMultiLegTransaction({
+            reference: 'DRAIN-MM',
+            legs: [
+                { walletId: wallets.marketMaker, assetTypeId: assets.loyalty, direction: 'debit', amount: excess },
+                { walletId: wallets.treasury, assetTypeId: assets.loyalty, direction: 'credit', amount: excess },
+            ],
+        }, 'drain-market-maker', 'multi-leg');
+
+        const body = { fromAssetTypeId: assets.gold, toAssetTypeId: assets.loyalty, amount: '10' };
+
+        await assert.rejects(
+            service.exchange(wallets.alice, body, 'exchange-mm-short', 'exchange'),
+            { statusCode: 422, message: 'Insufficient LPT in system:market_maker: have 10, need 20' }
+        );
+
+        await service.fundMarketMaker(assets.loyalty, { amount: '10', reference: 'FUND-MM' }, 'fund-mm', 'treasury:fund-market-maker');
+        await service.exchange(wallets.alice, body, 'exchange-mm-funded', 'exchange');
+
+        assert.equal(await balanceOf(pool, wallets.marketMaker, assets.loyalty), '0');
+    });
+});
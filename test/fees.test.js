@@ -0,0 +1,108 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createWalletService, balanceOf, SEEDS } = require('./helpers/db');
+
+const { assets, wallets } = SEEDS;
+
+describe('transaction fees', () => {
+    let pool;
+    let service;
+
+    const setFee = (assetTypeId, transactionType, fields) => pool.query(`
+      INSERT INTO fee_schedules (asset_type_id, transaction_type, fee_type, flat_amount, percent, tiers, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, 'test')
+    `, [
+        assetTypeId,
+        transactionType,
+        fields.feeType,
+        fields.flatAmount || null,
+        fields.percent || null,
+        fields.tiers ? JSON.stringify(fields.tiers) : null,
+    ]);
+
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        service = createWalletService(pool);
+
+        await setFee(assets.gold, 'transfer', { feeType: 'percent', percent: '1.5' });
+        await setFee(assets.gold, 'topup', {
+            feeType: 'tiered',
+            tiers: [{ up_to: '100', flat: '1' }, { up_to: null, percent: '1' }],
+        });
+        await setFee(assets.diamonds, 'spend', { feeType: 'flat', flatAmount: '5' });
+    });
+
+
+    it('debits the gross, credits the net and routes the fee to revenue', async () => {
+        const { data } = await service.transfer(wallets.alice, {
+            toWalletId: wallets.bob,
+            assetTypeId: assets.gold,
+            amount: '100',
+            reference: 'FEE-TRANSFER',
+        }, 'fee-transfer', 'transfer');
+
+        assert.equal(data.gross_amount, '100');
+        assert.equal(data.fee_amount, '1.5');
+        assert.equal(data.net_amount, '98.5');
+
+        assert.equal(await balanceOf(pool, wallets.alice, assets.gold), '900');
+        assert.equal(await balanceOf(pool, wallets.bob, assets.gold), '598.5');
+        assert.equal(await balanceOf(pool, wallets.revenue, assets.gold), '1.5');
+
+        const { rows: [tx] } = await pool.query(
+            'SELECT gross_amount, fee_amount, net_amount, fee_schedule_id FROM transactions WHERE id = $1',
+            [data.transaction_id]
+        );
+        assert.equal(Number(tx.fee_amount), 1.5);
+        assert.ok(tx.fee_schedule_id);
+    });
+
+
+    it('picks the tier that covers the amount', async () => {
+        const small = await service.topUp(wallets.bob, { assetTypeId: assets.gold, amount: '50', reference: 'FEE-TIER-SMALL' }, 'fee-tier-small', 'topup');
+        const large = await service.topUp(wallets.bob, { assetTypeId: assets.gold, amount: '1000', reference: 'FEE-TIER-LARGE' }, 'fee-tier-large', 'topup');
+
+        assert.equal(small.data.fee_amount, '1');
+        assert.equal(small.data.net_amount, '49');
+        assert.equal(large.data.fee_amount, '10');
+        assert.equal(large.data.net_amount, '990');
+    });
+
+
+    it('refuses an amount the fee would swallow', async () => {
+        await assert.rejects(
+            service.spend(wallets.alice, { assetTypeId: assets.diamonds, amount: '5', reference: 'FEE-SWALLOW' }, 'fee-swallow', 'spend'),
+            { statusCode: 422, message: 'Amount does not cover the 5 DIA fee' }
+        );
+        assert.equal(await balanceOf(pool, wallets.alice, assets.diamonds), '50');
+    });
+
+
+    it('charges nothing on a type without a schedule', async () => {
+        const { data } = await service.spend(wallets.alice, { assetTypeId: assets.gold, amount: '10', reference: 'FEE-NONE' }, 'fee-none', 'spend');
+
+        assert.equal(data.fee_amount, '0');
+        assert.equal(await balanceOf(pool, wallets.alice, assets.gold), '890');
+    });
+
+
+    it('reverses only the net of a fee-bearing transaction and keeps the fee', async () => {
+        const { data: original } = await service.transfer(wallets.bob, {
+            toWalletId: wallets.alice,
+            assetTypeId: assets.gold,
+            amount: '200',
+            reference: 'FEE-REVERSE',
+        }, 'fee-reverse-original', 'transfer');
+
+        const revenueBefore = await balanceOf(pool, wallets.revenue, assets.gold);
+        const bobBefore = await balanceOf(pool, wallets.bob, assets.gold);
+
+        const { data: reversal } = await service.reverse(original.transaction_id, {}, 'fee-reverse', 'reverse');
+
+        assert.equal(reversal.amount, '197');
+        assert.equal(await balanceOf(pool, wallets.revenue, assets.gold), revenueBefore);
+        assert.equal(Number(await balanceOf(pool, wallets.bob, assets.gold)), Number(bobBefore) + 197);
+    });
+});
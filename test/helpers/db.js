@@ -0,0 +1,158 @@
+'use strict';
+
+// Runs the service layer against an in-process Postgres (PGlite). The pg pool
+// module is swapped for one backed by a fresh database, so the migrations, the
+// seed and every repository run their real SQL.
+
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgres://test@localhost/test';
+
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { pgcrypto } = require('@electric-sql/pglite/contrib/pgcrypto');
+const { Decimal } = require('../../src/utils/decimal');
+
+const POOL_MODULE = path.resolve(__dirname, '../../src/db/pool.js');
+
+// node-postgres hands back NUMERIC and BIGINT as strings; so must we.
+const PARSERS = {
+    1700: value => value,
+    20: value => value,
+};
+
+
+function createPool(db) {
+    // Without parameters pg uses the simple protocol, which allows several
+    // statements in one string (the migration relies on it).
+    const query = async (text, params) => {
+        if (params && params.length > 0) {
+            const result = await db.query(text, params);
+            return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+        }
+
+        const results = await db.exec(text);
+        const last = results[results.length - 1] || { rows: [], affectedRows: 0 };
+        return { rows: last.rows, rowCount: last.affectedRows ?? last.rows.length };
+    };
+
+    const client = { query, release: () => {} };
+
+    const pool = {
+        query,
+        connect: async () => client,
+        end: async () => {},
+        on: () => {},
+    };
+
+    // PGlite is a single connection, so tests must not overlap transactions.
+    const withTransaction = async (fn) => {
+        await query('BEGIN');
+        try {
+            const result = await fn(client);
+            await query('COMMIT');
+            return result;
+        } catch (err) {
+            await query('ROLLBACK');
+            throw err;
+        }
+    };
+
+    return { pool, withTransaction };
+}
+
+
+// The migration, the seed and the services log every step; keep test output to
+// the results.
+function silenceLogs() {
+    console.log = () => {};
+    console.table = () => {};
+}
+
+
+// Call before requiring anything under src/ that touches the database.
+async function setupDatabase({ seed = true } = {}) {
+    const db = await PGlite.create({ extensions: { pgcrypto }, parsers: PARSERS });
+    const { pool, withTransaction } = createPool(db);
+
+    require.cache[POOL_MODULE] = {
+        id: POOL_MODULE,
+        filename: POOL_MODULE,
+        loaded: true,
+        exports: { pool, withTransaction },
+    };
+
+    silenceLogs();
+    await require('../../src/db/migrate')();
+    if (seed) {
+        await require('../../src/db/seed')();
+    }
+
+    return { db, pool };
+}
+
+
+function createWalletService(pool, { events = [] } = {}) {
+    const WalletService = require('../../src/services/WalletService');
+    const repo = name => new (require(`../../src/repositories/${name}`))(pool);
+
+    return new WalletService({
+        walletRepo: repo('WalletRepository'),
+        ledgerRepo: repo('LedgerRepository'),
+        txRepo: repo('TransactionRepository'),
+        assetRepo: repo('AssetRepository'),
+        idemRepo: repo('IdempotencyRepository'),
+        outboxRepo: repo('OutboxRepository'),
+        holdRepo: repo('HoldRepository'),
+        creditLotRepo: repo('CreditLotRepository'),
+        spendingLimitRepo: repo('SpendingLimitRepository'),
+        exchangeRateRepo: repo('ExchangeRateRepository'),
+        exchangeQuoteRepo: repo('ExchangeQuoteRepository'),
+        feeRepo: repo('FeeRepository'),
+        creditLineRepo: repo('CreditLineRepository'),
+        eventHub: { publish: async batch => { events.push(...batch); } },
+    });
+}
+
+
+async function balanceOf(pool, walletId, assetTypeId) {
+    const { rows } = await pool.query(
+        'SELECT balance FROM wallet_balances WHERE wallet_id = $1 AND asset_type_id = $2',
+        [walletId, assetTypeId]
+    );
+    return rows[0] ? new Decimal(rows[0].balance).toFixed() : '0';
+}
+
+
+// Outbox events of one type, oldest first.
+async function outboxEvents(pool, eventType) {
+    const { rows } = await pool.query(
+        'SELECT payload FROM outbox_events WHERE event_type = $1 ORDER BY created_at, id',
+        [eventType]
+    );
+    return rows.map(r => r.payload);
+}
+
+
+const SEEDS = {
+    assets: {
+        gold: '11111111-0000-0000-0000-000000000001',
+        diamonds: '11111111-0000-0000-0000-000000000002',
+        loyalty: '11111111-0000-0000-0000-000000000003',
+    },
+    wallets: {
+        treasury: '22222222-0000-0000-0000-000000000001',
+        bonusPool: '22222222-0000-0000-0000-000000000002',
+        revenue: '22222222-0000-0000-0000-000000000003',
+        marketMaker: '22222222-0000-0000-0000-000000000004',
+        issuance: '22222222-0000-0000-0000-000000000005',
+        alice: '33333333-0000-0000-0000-000000000001',
+        bob: '33333333-0000-0000-0000-000000000002',
+    },
+};
+
+module.exports = {
+    setupDatabase,
+    createWalletService,
+    balanceOf,
+    outboxEvents,
+    SEEDS,
+};
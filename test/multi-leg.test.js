@@ -0,0 +1,66 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createWalletService, balanceOf, SEEDS } = require('./helpers/db');
+
+const { assets, wallets } = SEEDS;
+
+describe('multi-leg transactions', () => {
+    let pool;
+    let service;
+
+    const move = (from, to, amount, key) => service.createMultiLegTransaction({
+        reference: `MULTI-${key}`,
+        legs: [
+            { walletId: from, assetTypeId: assets.gold, direction: 'debit', amount },
+            { walletId: to, assetTypeId: assets.gold, direction: 'credit', amount },
+        ],
+    }, key, 'multi-leg');
+
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        service = createWalletService(pool);
+    });
+
+
+    it('moves funds between the wallets it names', async () => {
+        await move(wallets.treasury, wallets.revenue, '25', 'treasury-to-revenue');
+
+        assert.equal(await balanceOf(pool, wallets.revenue, assets.gold), '25');
+    });
+
+
+    it('refuses a user debit past the available balance', async () => {
+        await assert.rejects(move(wallets.alice, wallets.bob, '1001', 'user-short'), { statusCode: 422 });
+    });
+
+
+    it('refuses a system debit the wallet cannot cover', async () => {
+        await assert.rejects(
+            move(wallets.revenue, wallets.alice, '26', 'revenue-short'),
+            { statusCode: 422, message: 'Insufficient GLD in system:revenue: have 25, need 26' }
+        );
+        await assert.rejects(
+            move(wallets.marketMaker, wallets.alice, '100001', 'market-maker-short'),
+            { statusCode: 422 }
+        );
+
+        assert.equal(await balanceOf(pool, wallets.alice, assets.gold), '1000');
+    });
+
+
+    it('sums the legs a wallet is debited in one asset', async () => {
+        await assert.rejects(
+            service.createMultiLegTransaction({
+                reference: 'MULTI-SPLIT',
+                legs: [
+                    { walletId: wallets.revenue, assetTypeId: assets.gold, direction: 'debit', amount: '20' },
+                    { walletId: wallets.revenue, assetTypeId: assets.gold, direction: 'debit', amount: '20' },
+                    { walletId: wallets.alice, assetTypeId: assets.gold, direction: 'credit', amount: '40' },
+                ],
+            }, 'revenue-split', 'multi-leg'),
+            { statusCode: 422 }
+        );
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createWalletService, balanceOf, SEEDS } = require('./helpers/db');
+
+const { assets, wallets } = SEEDS;
+
+describe('reversals', () => {
+    let pool;
+    let service;
+    let original;
+
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        service = createWalletService(pool);
+
+        ({ data: original } = await service.transfer(wallets.alice, {
+            toWalletId: wallets.bob,
+            assetTypeId: assets.gold,
+            amount: '100',
+            reference: 'REVERSE-ME',
+        }, 'reverse-original', 'transfer'));
+    });
+
+
+    it('reverses part of a transaction', async () => {
+        const { data } = await service.reverse(original.transaction_id, { amount: '30' }, 'reverse-partial', 'reverse');
+
+        assert.equal(data.amount, '30');
+        assert.equal(await balanceOf(pool, wallets.alice, assets.gold), '930');
+        assert.equal(await balanceOf(pool, wallets.bob, assets.gold), '570');
+    });
+
+
+    it('reverses what remains when no amount is given', async () => {
+        const { data } = await service.reverse(original.transaction_id, {}, 'reverse-rest', 'reverse');
+
+        assert.equal(data.amount, '70');
+        assert.equal(await balanceOf(pool, wallets.alice, assets.gold), '1000');
+        assert.equal(await balanceOf(pool, wallets.bob, assets.gold), '500');
+    });
+
+
+    it('replays the default-amount reversal from its idempotency key', async () => {
+        const { data, fromCache } = await service.reverse(original.transaction_id, {}, 'reverse-rest', 'reverse');
+
+        assert.equal(fromCache, true);
+        assert.equal(data.amount, '70');
+    });
+
+
+    it('refuses to reverse a fully reversed transaction', async () => {
+        await assert.rejects(
+            service.reverse(original.transaction_id, {}, 'reverse-again', 'reverse'),
+            { statusCode: 422, message: 'Transaction has already been fully reversed' }
+        );
+    });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createWalletService, balanceOf, SEEDS } = require('./helpers/db');
+
+const { assets, wallets } = SEEDS;
+
+describe('treasury supply', () => {
+    let pool;
+    let service;
+
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        service = createWalletService(pool);
+    });
+
+
+    it('mints from issuance into the treasury and reports the supply', async () => {
+        await service.mint(assets.diamonds, { amount: '500', reference: 'MINT-DIA' }, 'mint-dia', 'treasury:mint');
+
+        assert.equal(await balanceOf(pool, wallets.treasury, assets.diamonds), '100450');
+        assert.equal(await balanceOf(pool, wallets.issuance, assets.diamonds), '-100500');
+
+        const [report] = await service.getSupplyReport({ assetTypeId: assets.diamonds });
+        assert.equal(report.minted, '100500');
+        assert.equal(report.burned, '0');
+        assert.equal(report.supply, '100500');
+        assert.equal(report.circulating, '50');
+        assert.equal(report.held_in_system_wallets, '100450');
+        assert.equal(report.mintable, null);
+    });
+
+
+    it('burns unissued supply back to issuance', async () => {
+        await service.burn(assets.diamonds, { amount: '450', reference: 'BURN-DIA' }, 'burn-dia', 'treasury:burn');
+
+        const [report] = await service.getSupplyReport({ assetTypeId: assets.diamonds });
+        assert.equal(report.burned, '450');
+        assert.equal(report.supply, '100050');
+        assert.equal(await balanceOf(pool, wallets.treasury, assets.diamonds), '100000');
+    });
+
+
+    it('refuses to burn more than the treasury holds', async () => {
+        await assert.rejects(
+            service.burn(assets.diamonds, { amount: '100001', reference: 'BURN-TOO-MUCH' }, 'burn-too-much', 'treasury:burn'),
+            { statusCode: 422, message: 'Insufficient minted DIA in the treasury: have 100000, need 100001' }
+        );
+    });
+
+
+    it('refuses a mint past the supply cap', async () => {
+        await pool.query('UPDATE asset_types SET supply_cap = 100100 WHERE id = $1', [assets.diamonds]);
+
+        await assert.rejects(
+            service.mint(assets.diamonds, { amount: '51', reference: 'MINT-OVER-CAP' }, 'mint-over-cap', 'treasury:mint'),
+            (err) => {
+                assert.equal(err.statusCode, 422);
+                assert.deepEqual(err.details, { supply_cap: '100100', supply: '100050', requested: '51' });
+                return true;
+            }
+        );
+
+        await service.mint(assets.diamonds, { amount: '50', reference: 'MINT-TO-CAP' }, 'mint-to-cap', 'treasury:mint');
+        const [report] = await service.getSupplyReport({ assetTypeId: assets.diamonds });
+        assert.equal(report.mintable, '0');
+    });
+
+
+    it('tops up only from minted supply', async () => {
+        await assert.rejects(
+            service.topUp(wallets.bob, {
+                assetTypeId: assets.diamonds,
+                amount: '100051',
+                reference: 'TOPUP-UNMINTED',
+            }, 'topup-unminted', 'topup'),
+            { statusCode: 422, message: 'Insufficient minted DIA in the treasury: have 100050, need 100051' }
+        );
+
+        await service.topUp(wallets.bob, { assetTypeId: assets.diamonds, amount: '50', reference: 'TOPUP-MINTED' }, 'topup-minted', 'topup');
+        assert.equal(await balanceOf(pool, wallets.bob, assets.diamonds), '50');
+    });
+
+
+    it('does not reverse mints and burns', async () => {
+        const { data } = await service.mint(assets.gold, { amount: '1', reference: 'MINT-GLD' }, 'mint-gld', 'treasury:mint');
+
+        await assert.rejects(
+            service.reverse(data.transaction_id, { reference: 'UNDO-MINT' }, 'reverse-mint', 'reverse'),
+            { statusCode: 400 }
+        );
+    });
+});
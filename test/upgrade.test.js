@@ -0,0 +1,129 @@
+'use strict';
+
+// Deployments that predate mints carry ledger history the new balance checks
+// would refuse; re-running the migration must repair it exactly once.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createWalletService, balanceOf, SEEDS } = require('./helpers/db');
+
+const { assets, wallets } = SEEDS;
+
+describe('upgrading an existing deployment', () => {
+    let pool;
+    let service;
+    let migrate;
+    let ledgerRepo;
+    let withTransaction;
+
+    // Posts a transfer the way the service did before any coverage checks.
+    const legacyTransfer = (txType, fromWalletId, toWalletId, assetTypeId, amount) => withTransaction(async (client) => {
+        const { rows: [tx] } = await client.query(
+            "INSERT INTO transactions (transaction_type, reference) VALUES ($1, 'LEGACY') RETURNING id",
+            [txType]
+        );
+        await ledgerRepo.insertEntry(client, { transactionId: tx.id, walletId: fromWalletId, assetTypeId, direction: 'debit', amount });
+        await ledgerRepo.insertEntry(client, { transactionId: tx.id, walletId: toWalletId, assetTypeId, direction: 'credit', amount });
+    });
+
+    const backfillCount = async (reference) => {
+        const { rows } = await pool.query('SELECT COUNT(*)::int AS n FROM transactions WHERE reference = $1', [reference]);
+        return rows[0].n;
+    };
+
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        service = createWalletService(pool);
+        migrate = require('../src/db/migrate');
+        ({ withTransaction } = require('../src/db/pool'));
+        ledgerRepo = new (require('../src/repositories/LedgerRepository'))(pool);
+    });
+
+
+    it('mints a negative treasury balance back to zero', async () => {
+        await legacyTransfer('topup', wallets.treasury, wallets.bob, assets.diamonds, '100000');
+        assert.equal(await balanceOf(pool, wallets.treasury, assets.diamonds), '-50');
+
+        await migrate();
+        await migrate();
+
+        assert.equal(await backfillCount('MIGRATION:TREASURY_BACKFILL'), 1);
+        assert.equal(await balanceOf(pool, wallets.treasury, assets.diamonds), '0');
+        assert.equal(await balanceOf(pool, wallets.issuance, assets.diamonds), '-100050');
+
+        const { rows: [entry] } = await pool.query(`
+          SELECT balance_after FROM ledger_entries
+          WHERE wallet_id = $1 AND asset_type_id = $2
+          ORDER BY created_at DESC, id DESC
+          LIMIT 1
+        `, [wallets.treasury, assets.diamonds]);
+        assert.equal(Number(entry.balance_after), 0);
+
+        const [report] = await service.getSupplyReport({ assetTypeId: assets.diamonds });
+        assert.equal(report.supply, '100050');
+    });
+
+
+    it('funds a negative bonus pool from the treasury, minting any shortfall', async () => {
+        await legacyTransfer('bonus', wallets.bonusPool, wallets.alice, assets.diamonds, '30');
+        await legacyTransfer('bonus', wallets.bonusPool, wallets.alice, assets.gold, '150000');
+        const treasuryGold = Number(await balanceOf(pool, wallets.treasury, assets.gold));
+
+        await migrate();
+        await migrate();
+
+        assert.equal(await balanceOf(pool, wallets.bonusPool, assets.diamonds), '0');
+        assert.equal(await balanceOf(pool, wallets.bonusPool, assets.gold), '0');
+
+        // The treasury had no diamonds left, so 30 more were minted to fund the pool.
+        assert.equal(await balanceOf(pool, wallets.treasury, assets.diamonds), '0');
+        assert.equal(await balanceOf(pool, wallets.issuance, assets.diamonds), '-100080');
+        assert.equal(Number(await balanceOf(pool, wallets.treasury, assets.gold)), treasuryGold - 50000);
+
+        const { rows } = await pool.query(`
+          SELECT transaction_type, COUNT(*)::int AS n
+          FROM transactions
+          WHERE reference = 'MIGRATION:BONUS_POOL_BACKFILL'
+          GROUP BY transaction_type
+          ORDER BY transaction_type
+        `);
+        assert.deepEqual(rows, [{ transaction_type: 'funding', n: 2 }, { transaction_type: 'mint', n: 1 }]);
+    });
+
+
+    it('funds a negative market maker from the treasury', async () => {
+        await legacyTransfer('exchange', wallets.marketMaker, wallets.alice, assets.loyalty, '100050');
+        const treasuryLpt = Number(await balanceOf(pool, wallets.treasury, assets.loyalty));
+
+        await migrate();
+        await migrate();
+
+        assert.equal(await backfillCount('MIGRATION:SYSTEM_WALLET_BACKFILL'), 1);
+        assert.equal(await balanceOf(pool, wallets.marketMaker, assets.loyalty), '0');
+        assert.equal(Number(await balanceOf(pool, wallets.treasury, assets.loyalty)), treasuryLpt - 50);
+    });
+
+
+    it('still needs the pool funded before bonuses resume', async () => {
+        const bonus = () => service.bonus(wallets.bob, {
+            assetTypeId: assets.gold,
+            amount: '10',
+            reference: 'BONUS-AFTER-UPGRADE',
+        }, 'bonus-after-upgrade', 'bonus');
+
+        await assert.rejects(bonus(), { statusCode: 422 });
+
+        await service.fundBonusPool(assets.gold, { amount: '1000', reference: 'FUND-AFTER-UPGRADE' }, 'fund-after-upgrade', 'treasury:fund-bonus-pool');
+        await bonus();
+
+        assert.equal(await balanceOf(pool, wallets.bonusPool, assets.gold), '990');
+    });
+
+
+    it('leaves a consistent ledger', async () => {
+        const LedgerIntegrityService = require('../src/services/LedgerIntegrityService');
+        const report = await new LedgerIntegrityService({ ledgerRepo }).verify();
+
+        assert.equal(report.ok, true, JSON.stringify(report.summary));
+    });
+});